@@ -23,6 +23,10 @@ module.exports = function ( grunt ) {
           './src/lib/GoogleMap.js',
           './src/lib/Marker.js',
           './src/lib/Cluster.js',
+          './src/lib/SpatialIndex.js',
+          './src/lib/ClusterWorker.js',
+          './src/lib/ClusterIcon.js',
+          './src/lib/Loader.js',
           './src/lib/utility.js'
         ],
         dest: './tmp/core.js',
@@ -43,6 +47,8 @@ module.exports = function ( grunt ) {
         src: [
           './src/googleMaps.module.js',
           './src/googleMaps.directive.js',
+          './src/googleMaps.marker.directive.js',
+          './src/googleMaps.cluster.directive.js',
           './tmp/provider.js'
         ],
         dest: './dist/googly-mapulous.js',
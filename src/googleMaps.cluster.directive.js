@@ -0,0 +1,295 @@
+/**
+ * The Cluster Directive
+ *
+ * Declarative Cluster for use inside the googleMap directive.  Any map-marker
+ * directives nested inside are handed to the Cluster instead of being added
+ * to the map directly:
+ *
+ * <google-map>
+ *   <map-cluster icon="cluster.png" width="40" height="40"
+ *     layer="hotels" visible="showHotels"
+ *     zoom-mapping="clusterMapping"
+ *     strategy="grid" grid-mapping="gridMapping"
+ *     max-zoom="15" min-cluster-size="3" distance-unit="pixels"
+ *     viewport viewport-padding="0.5" worker
+ *     click-mode="zoomToBounds"
+ *     icon-style="{ category: 'type' }"
+ *     aggregators="aggregators"
+ *     on-cluster-click="showGroup( markers, data )"
+ *     on-render="clustered( markers )">
+ *     <map-marker ng-repeat="place in places" lat="place.lat" lng="place.lng">
+ *     </map-marker>
+ *   </map-cluster>
+ * </google-map>
+ *
+ * Markers are reclustered (debounced) as they come and go.  on-cluster-click
+ * is passed $event, marker (the cluster Marker), markers (the grouped Markers),
+ * data (the grouped Marker data) and aggregates (see aggregators below).
+ * on-render is passed markers (the displayed Markers) along with added,
+ * removed and kept (what changed since the last render).  strategy picks the
+ * clustering strategy (distance or grid, see Cluster.setStrategy) and
+ * grid-mapping sets grid sizes per zoom.
+ * max-zoom, min-cluster-size and distance-unit map onto Cluster.setMaxZoom,
+ * Cluster.setMinClusterSize and Cluster.setDistanceUnit.
+ * viewport limits clustering to the map bounds plus viewport-padding (see
+ * Cluster.setViewport) and worker moves grouping into a Web Worker (see
+ * Cluster.setWorker).  click-mode sets what clicking a cluster marker does
+ * (zoomToBounds or spiderfy, see Cluster.setClickMode).  icon-style swaps
+ * the icon for generated count badges (true for the default look, see
+ * Cluster.setIconStyle).  aggregators takes reducers summarizing each
+ * cluster's marker data (see Cluster.setAggregators and
+ * googleMaps.aggregators).  layer adds the Cluster to the map by name (see
+ * GoogleMap.addCluster) and visible shows/hides it.
+ **/
+angular.module( 'googlyMapulous' ).directive( 'mapCluster', [ 'googleMaps', '$timeout', function ( googleMaps, $timeout ) {
+  return {
+    restrict: 'E',
+    require: [ 'mapCluster', '^googleMap' ],
+    scope: {
+      icon: '@',
+      layer: '@',
+      visible: '=?',
+      width: '@',
+      height: '@',
+      zoomMapping: '=?',
+      strategy: '@',
+      maxZoom: '@',
+      minClusterSize: '@',
+      distanceUnit: '@',
+      clickMode: '@',
+      gridMapping: '=?',
+      iconStyle: '=?',
+      aggregators: '=?',
+      onClusterClick: '&',
+      onRender: '&'
+    },
+    controller: [ '$scope', function ( $scope ) {
+      var added   = [];
+      var removed = [];
+      var timer   = null;
+
+      // Set once the map is loaded and the Cluster has been built
+      this.cluster = null;
+
+      /**
+       * Hand a Marker to the Cluster.
+       *
+       * @param {Object} marker Constructed Marker object
+       */
+      this.addMarker = function ( marker ) {
+        var index = removed.indexOf( marker );
+
+        if ( index > -1 ) { removed.splice( index, 1 ); }
+        if ( added.indexOf( marker ) === -1 ) { added.push( marker ); }
+
+        this.refresh();
+      };
+
+      /**
+       * Take a Marker back out of the Cluster (and off the map).
+       *
+       * @param {Object} marker Constructed Marker object
+       */
+      this.removeMarker = function ( marker ) {
+        var index = added.indexOf( marker );
+
+        if ( index > -1 ) {
+          // Never made it into the cluster, nothing else to do
+          added.splice( index, 1 );
+        } else if ( removed.indexOf( marker ) === -1 ) {
+          removed.push( marker );
+        }
+
+        marker.remove();
+
+        this.refresh();
+      };
+
+      /**
+       * Schedule a reclustering run.  Multiple calls in quick succession (as
+       * with ng-repeat) are rolled into a single run.
+       */
+      this.refresh = function () {
+        if ( ! this.cluster ) { return; }
+
+        $timeout.cancel( timer );
+
+        timer = $timeout( ( function () {
+          var cluster = this.cluster;
+          var toAdd   = added;
+
+          removed.forEach( function ( marker ) {
+            cluster.removeMarker( marker );
+          });
+
+          added   = [];
+          removed = [];
+
+          // addMarkers reclusters on its own
+          if ( toAdd.length ) {
+            cluster.addMarkers( toAdd );
+          } else {
+            cluster.clusterMarkers();
+          }
+        }).bind( this ), 50, false );
+      };
+
+      $scope.$on( '$destroy', ( function () {
+        $timeout.cancel( timer );
+
+        if ( this.cluster ) {
+          // Lets the rest of the layers fill in the gap, then tears down
+          // what's left (nested map-markers destroy their own Markers)
+          if ( this.cluster.state.map ) { this.cluster.state.map.removeCluster( this.cluster ); }
+
+          this.cluster.destroy();
+        }
+
+        this.cluster = null;
+        added   = [];
+        removed = [];
+      }).bind( this ));
+    }],
+    link: function ( scope, element, attrs, ctrls ) {
+      var clusterCtrl = ctrls[ 0 ];
+      var mapCtrl     = ctrls[ 1 ];
+      var destroyed   = false;
+
+      // What cleared attributes go back to (includes app-wide defaults)
+      var defaults = googleMaps.Cluster.prototype.config;
+
+      scope.$on( '$destroy', function () {
+        destroyed = true;
+      });
+
+      mapCtrl.onMapLoaded( function ( map ) {
+        if ( destroyed ) { return; }
+
+        // Markers register themselves as they link, so start empty and let
+        // the first refresh pick them all up at once
+        var cluster = new googleMaps.Cluster(
+          null,
+          null,
+          scope.icon || null,
+          parseInt( scope.width, 10 ) || null,
+          parseInt( scope.height, 10 ) || null
+        );
+
+        if ( scope.zoomMapping ) { cluster.setClusterZoomMapping( scope.zoomMapping ); }
+        if ( scope.gridMapping ) { cluster.setGridMapping( scope.gridMapping ); }
+        if ( scope.strategy ) { cluster.setStrategy( scope.strategy ); }
+        if ( scope.maxZoom ) { cluster.setMaxZoom( parseInt( scope.maxZoom, 10 ) ); }
+        if ( scope.minClusterSize ) { cluster.setMinClusterSize( parseInt( scope.minClusterSize, 10 ) ); }
+        if ( scope.distanceUnit ) { cluster.setDistanceUnit( scope.distanceUnit ); }
+        if ( scope.clickMode ) { cluster.setClickMode( scope.clickMode ); }
+        if ( scope.iconStyle ) { cluster.setIconStyle( scope.iconStyle ); }
+        if ( scope.aggregators ) { cluster.setAggregators( scope.aggregators ); }
+
+        // Viewport clustering is switched on by the viewport attribute
+        if ( typeof( attrs.viewport ) !== 'undefined' ) {
+          cluster.setViewport( true, parseFloat( attrs.viewportPadding ) );
+        }
+
+        // And worker grouping by the worker attribute
+        if ( typeof( attrs.worker ) !== 'undefined' ) { cluster.setWorker( true ); }
+
+        // Map expressions onto cluster callbacks
+        if ( attrs.onClusterClick ) {
+          cluster.onClick( function ( event ) {
+            var clusterMarker = this;
+
+            scope.$evalAsync( function () {
+              scope.onClusterClick({
+                $event: event,
+                marker: clusterMarker,
+                markers: clusterMarker.markers,
+                data: clusterMarker.markerData,
+                aggregates: clusterMarker.aggregates
+              });
+            });
+          });
+        }
+
+        if ( attrs.onRender ) {
+          cluster.onRender( function ( markers, changes ) {
+            scope.$evalAsync( function () {
+              scope.onRender({
+                markers: markers,
+                added: changes.added,
+                removed: changes.removed,
+                kept: changes.kept
+              });
+            });
+          });
+        }
+
+        if ( scope.visible === false ) { cluster.setVisible( false ); }
+
+        // Named clusters are added as map layers
+        if ( scope.layer ) {
+          map.addCluster( scope.layer, cluster );
+        } else {
+          cluster.setMap( map );
+        }
+
+        clusterCtrl.cluster = cluster;
+        clusterCtrl.refresh();
+
+        // Keep cluster settings current
+        scope.$watchGroup( [ 'icon', 'width', 'height' ], function ( icon, oldIcon ) {
+          if ( angular.equals( icon, oldIcon ) ) { return; }
+
+          cluster.setIcon( icon[ 0 ] || null, parseInt( icon[ 1 ], 10 ) || null, parseInt( icon[ 2 ], 10 ) || null );
+          clusterCtrl.refresh();
+        });
+
+        scope.$watch( 'zoomMapping', function ( mapping, oldMapping ) {
+          if ( mapping && ! angular.equals( mapping, oldMapping ) ) {
+            cluster.setClusterZoomMapping( mapping );
+          }
+        }, true );
+
+        scope.$watch( 'gridMapping', function ( mapping, oldMapping ) {
+          if ( mapping && ! angular.equals( mapping, oldMapping ) ) {
+            cluster.setGridMapping( mapping );
+          }
+        }, true );
+
+        scope.$watch( 'iconStyle', function ( style, oldStyle ) {
+          if ( ! angular.equals( style, oldStyle ) ) {
+            cluster.setIconStyle( style );
+            clusterCtrl.refresh();
+          }
+        }, true );
+
+        scope.$watch( 'aggregators', function ( aggregators, oldAggregators ) {
+          if ( aggregators !== oldAggregators ) { cluster.setAggregators( aggregators ); }
+        });
+
+        scope.$watch( 'clickMode', function ( mode, oldMode ) {
+          if ( mode !== oldMode ) { cluster.setClickMode( mode || null ); }
+        });
+
+        scope.$watch( 'strategy', function ( strategy, oldStrategy ) {
+          if ( strategy !== oldStrategy ) { cluster.setStrategy( strategy || defaults.strategy ); }
+        });
+
+        scope.$watch( 'visible', function ( visible, oldVisible ) {
+          if ( visible !== oldVisible ) { cluster.setVisible( visible !== false ); }
+        });
+
+        scope.$watch( 'maxZoom', function ( zoom, oldZoom ) {
+          if ( zoom !== oldZoom ) { cluster.setMaxZoom( zoom ? parseInt( zoom, 10 ) : null ); }
+        });
+
+        scope.$watch( 'minClusterSize', function ( size, oldSize ) {
+          if ( size !== oldSize ) { cluster.setMinClusterSize( size ? parseInt( size, 10 ) : defaults.minClusterSize ); }
+        });
+
+        scope.$watch( 'distanceUnit', function ( unit, oldUnit ) {
+          if ( unit !== oldUnit ) { cluster.setDistanceUnit( unit || defaults.distanceUnit ); }
+        });
+      });
+    }
+  };
+}]);
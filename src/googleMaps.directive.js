@@ -5,52 +5,309 @@
  * extended to handle markers, clustering, overlays, etc.  Note that this
  * directive requires the accompanying service.  The service can also be used
  * to create google map functionality in any context.
+ *
+ * The directive has its own isolate scope.  Without a map-id it works off the
+ * enclosing scope as it always has (reads mapConfig/mapManualInit, writes
+ * googleMap/mapLoaded).  With a map-id, the map is configured through its own
+ * config attribute and can be retrieved with googleMaps.getMap( id ), so any
+ * number of maps can share a page:
+ *
+ * <google-map map-id="main" config="ctrl.mainConfig"></google-map>
+ * <google-map map-id="inset" config="ctrl.insetConfig"></google-map>
+ *
+ * Add cluster-across-layers to group markers from all map-cluster layers
+ * together (see GoogleMap.setClusterAcrossLayers), and shared-infobox to
+ * have all markers share one lazily compiled infobox (see
+ * GoogleMap.setSharedInfobox).
  **/
 angular.module( 'googlyMapulous' ).directive( 'googleMap', [ 'googleMaps', function ( googleMaps ) {
   return {
     restrict: 'E',
-    template: '<div class="google-map-container"><div class="google-map"></div></div>',
-    controller: [ '$scope', '$element', '$compile', '$attrs', function ( $scope, $element, $compile, $attrs ) {
-      // Check for presence of manual init var in $scope.  Wait for manual call
-      // before initting if set, otherwise create the map immediately
-      if ( $scope.mapManualInit || typeof( $attrs.manualInit ) !== 'undefined' ) {
-        var unsubscribe = $scope.$on( 'initializeGoogleMap', function () {
-          initMap();
+    transclude: true,
+    // Attribute expressions (config, center, zoom, bounds) are evaluated
+    // against the enclosing scope with $parse, so nothing is bound here
+    scope: {},
+    template: '<div class="google-map-container"><div class="google-map"></div><div class="google-map-content" ng-transclude style="display: none;"></div></div>',
+    controller: [ '$scope', '$element', '$compile', '$attrs', '$q', '$parse', function ( $scope, $element, $compile, $attrs, $q, $parse ) {
+      // The scope the directive sits in.  Infobox content is compiled against
+      // this and center/zoom/bounds expressions are evaluated against it.
+      var outerScope = $scope.$parent;
+
+      // Maps without an id share the enclosing scope the old fashioned way
+      var legacy = ! $attrs.mapId;
+
+      // GoogleMap object, once built
+      var googleMap = null;
+
+      // Resolved with the GoogleMap object once the map has been created so
+      // child directives (map-marker, etc.) can wait on it
+      var loaded = $q.defer();
+
+      /**
+       * Retrieve the GoogleMap object built by the directive.
+       *
+       * @return {Object} Returns GoogleMap object or null if the map has not
+       * been created yet
+       */
+      this.getMap = function () {
+        return googleMap;
+      };
+
+      /**
+       * Register a callback to fire once the map has been created.  Fires on
+       * the next digest if the map already exists.
+       *
+       * @param  {Function} callback Function called with the GoogleMap object
+       * @return {Object}            Returns promise resolved with the callback
+       * result
+       */
+      this.onMapLoaded = function ( callback ) {
+        return loaded.promise.then( callback );
+      };
+
+      // Set once the directive is gone so a late API load doesn't build a map
+      var destroyed = false;
+
+      // Check for manual init (attribute, or the scope var for maps without an
+      // id).  Wait for manual call before initting if set, otherwise create the
+      // map as soon as the API is ready.  The init event can be passed a map id
+      // to only initialize that map.
+      if ( ( legacy && outerScope.mapManualInit ) || typeof( $attrs.manualInit ) !== 'undefined' ) {
+        var unsubscribe = outerScope.$on( 'initializeGoogleMap', function ( $event, mapId ) {
+          if ( mapId && mapId !== $attrs.mapId ) { return; }
+
+          loadMap();
 
           unsubscribe();
         });
+
+        $scope.$on( '$destroy', unsubscribe );
       } else {
-        initMap();
+        loadMap();
       }
 
+      // Drop out of the registry and tear the map down when the directive
+      // goes away
+      $scope.$on( '$destroy', function () {
+        destroyed = true;
+
+        if ( googleMap ) {
+          if ( ! legacy ) { googleMaps.unregisterMap( $attrs.mapId, googleMap ); }
+
+          googleMap.destroy();
+        }
+
+        if ( legacy && outerScope.googleMap === googleMap ) { outerScope.googleMap = null; }
+
+        googleMap = null;
+      });
+
       /////////////////////////////////////////////////////////////////////////////
       // Internal functions ///////////////////////////////////////////////////////
       /////////////////////////////////////////////////////////////////////////////
 
+      /**
+       * Wait for the Google Maps API, then build the map.  If the API can't be
+       * loaded, flag the element with a google-map-error class and fire an
+       * error event (passed the LoaderError and map id) so a fallback can be
+       * shown.
+       */
+      function loadMap () {
+        googleMaps.ready().then( initMap, function ( error ) {
+          if ( destroyed ) { return; }
+
+          $element.addClass( 'google-map-error' );
+
+          // Scope variable for checking error status
+          if ( legacy ) { outerScope.mapError = error; }
+
+          $scope.$emit( 'googleMapError', error, $attrs.mapId );
+        });
+      }
+
       /**
        * Load the map (create the actual google map object).  Fire loaded event
        * when finished.
        */
       function initMap () {
+        if ( destroyed ) { return; }
+
         // Set basic map config up
-        // These can be overridden by config options contained in
-        // $scope.mapConfig
+        // These can be overridden by config options contained in the config
+        // attribute (or $scope.mapConfig for maps without an id)
+        var config  = $attrs.config ? $parse( $attrs.config )( outerScope ) : ( legacy ? outerScope.mapConfig : null );
         var options = {};
-        if ( $scope.mapConfig && $scope.mapConfig instanceof Object ) {
-          Object.keys( $scope.mapConfig ).forEach( function ( key ) {
-            options[ key ] = $scope.mapConfig[ key ];
+
+        if ( config && config instanceof Object ) {
+          Object.keys( config ).forEach( function ( key ) {
+            options[ key ] = config[ key ];
           });
         }
 
-        // Build the map and save a reference to the created map object in the
-        // $scope for reference later from controller
-        $scope.googleMap = new googleMaps.GoogleMap( $element[ 0 ].children[ 0 ].children[ 0 ], $scope, $compile, options );
+        // Bound center/zoom take precedence over config so the map starts
+        // where the model says it should
+        var center = $attrs.center ? $parse( $attrs.center )( outerScope ) : null;
+        var zoom   = $attrs.zoom ? $parse( $attrs.zoom )( outerScope ) : null;
+
+        if ( isLatLng( center ) ) { options.center = new google.maps.LatLng( center.lat, center.lng ); }
+        if ( angular.isNumber( zoom ) ) { options.zoom = zoom; }
+
+        // Build the map
+        googleMap = new googleMaps.GoogleMap( $element[ 0 ].children[ 0 ].children[ 0 ], outerScope, $compile, options );
+
+        // Save a reference to the created map object - either in the outer
+        // $scope for reference later from controller, or in the registry
+        if ( legacy ) {
+          outerScope.googleMap = googleMap;
+        } else {
+          googleMaps.registerMap( $attrs.mapId, googleMap );
+        }
+
+        // Group cluster layers together if asked to, before any attach
+        if ( typeof( $attrs.clusterAcrossLayers ) !== 'undefined' ) { googleMap.setClusterAcrossLayers( true ); }
+
+        // And share one infobox between all markers if asked to
+        if ( typeof( $attrs.sharedInfobox ) !== 'undefined' ) { googleMap.setSharedInfobox( true ); }
+
+        // Keep center/zoom/bounds in sync with the outer scope if bound
+        bindModel( googleMap );
+
+        // And roll later config changes into the map
+        if ( $attrs.config ) {
+          var configModel = $parse( $attrs.config );
+
+          $scope.$watch( function () { return configModel( outerScope ); }, function ( config, oldConfig ) {
+            if ( config && config !== oldConfig ) { googleMap.getMap().setOptions( config ); }
+          }, true );
+        }
 
         // Fire event at the point so the outer control knows we're done
-        $scope.$emit( 'googleMapLoaded', $scope.googleMap );
+        $scope.$emit( 'googleMapLoaded', googleMap, $attrs.mapId );
 
         // Also set a scope variable for checking map loaded status
-        $scope.mapLoaded = true;
+        if ( legacy ) { outerScope.mapLoaded = true; }
+
+        // And let any child directives know they can get to work
+        loaded.resolve( googleMap );
+      }
+
+      /**
+       * Two-way bind map center, zoom and bounds to the expressions passed in
+       * the center, zoom and bounds attributes.  Map changes are pushed to the
+       * scope in $applyAsync, model changes move the map.  Bounds only flow
+       * out of the map.
+       *
+       * @param {Object} map GoogleMap object to bind
+       */
+      function bindModel ( map ) {
+        var googleMap = map.getMap();
+
+        // Set while the map is being moved from the model so the resulting map
+        // events don't echo straight back
+        var updatingMap = false;
+
+        if ( $attrs.center ) {
+          var centerModel = $parse( $attrs.center );
+
+          if ( centerModel.assign ) {
+            map.addEvent( 'center_changed', function () {
+              if ( updatingMap ) { return; }
+
+              outerScope.$applyAsync( function () {
+                var center = googleMap.getCenter();
+
+                if ( ! sameLatLng( centerModel( outerScope ), center ) ) {
+                  centerModel.assign( outerScope, { lat: center.lat(), lng: center.lng() } );
+                }
+              });
+            });
+          }
+
+          // Watched from the directive's own scope so the watch goes away
+          // with it
+          $scope.$watch( function () { return centerModel( outerScope ); }, function ( center ) {
+            // Skip anything that matches where the map already is (which
+            // includes values the map just pushed out)
+            if ( ! isLatLng( center ) || sameLatLng( center, googleMap.getCenter() ) ) { return; }
+
+            updatingMap = true;
+            map.center( center.lat, center.lng );
+            updatingMap = false;
+          }, true );
+        }
+
+        if ( $attrs.zoom ) {
+          var zoomModel = $parse( $attrs.zoom );
+
+          if ( zoomModel.assign ) {
+            map.addEvent( 'zoom_changed', function () {
+              if ( updatingMap ) { return; }
+
+              outerScope.$applyAsync( function () {
+                if ( zoomModel( outerScope ) !== googleMap.getZoom() ) {
+                  zoomModel.assign( outerScope, googleMap.getZoom() );
+                }
+              });
+            });
+          }
+
+          $scope.$watch( function () { return zoomModel( outerScope ); }, function ( zoom ) {
+            if ( ! angular.isNumber( zoom ) || zoom === googleMap.getZoom() ) { return; }
+
+            updatingMap = true;
+            map.zoom( zoom );
+            updatingMap = false;
+          });
+        }
+
+        if ( $attrs.bounds ) {
+          var boundsModel = $parse( $attrs.bounds );
+
+          if ( boundsModel.assign ) {
+            map.addEvent( 'idle', function () {
+              outerScope.$applyAsync( function () {
+                var bounds = googleMap.getBounds();
+
+                if ( bounds ) {
+                  boundsModel.assign( outerScope, {
+                    north: bounds.getNorthEast().lat(),
+                    east: bounds.getNorthEast().lng(),
+                    south: bounds.getSouthWest().lat(),
+                    west: bounds.getSouthWest().lng()
+                  });
+                }
+              });
+            });
+          } else {
+            console.error( 'Expression passed to googleMap bounds attribute must be assignable' );
+          }
+        }
+      }
+
+      /**
+       * Check for a usable { lat, lng } object.
+       *
+       * @param  {Mixed}   value Value to check
+       * @return {Boolean}       Returns true if value has numeric lat and lng
+       */
+      function isLatLng ( value ) {
+        return value && angular.isNumber( value.lat ) && angular.isNumber( value.lng )
+          ? true
+          : false;
+      }
+
+      /**
+       * Compare a { lat, lng } object against a google LatLng, allowing for
+       * floating point noise.
+       *
+       * @param  {Object}  value  Object containing lat and lng
+       * @param  {Object}  latLng Google LatLng object
+       * @return {Boolean}        Returns true if both point at the same spot
+       */
+      function sameLatLng ( value, latLng ) {
+        return isLatLng( value ) && latLng &&
+          Math.abs( value.lat - latLng.lat() ) < 1e-9 &&
+          Math.abs( value.lng - latLng.lng() ) < 1e-9;
       }
     }]
   };
@@ -0,0 +1,155 @@
+/**
+ * The Marker Directive
+ *
+ * Declarative Marker for use inside the googleMap directive.  Builds a Marker
+ * on the parent map and keeps it in sync with its attributes, so markers can
+ * be driven straight from a model with ng-repeat:
+ *
+ * <google-map>
+ *   <map-marker ng-repeat="place in places" lat="place.lat" lng="place.lng"
+ *     icon="{{ place.icon }}" label="{{ place.name }}" data="place">
+ *   </map-marker>
+ * </google-map>
+ *
+ * Markers nested inside a map-cluster directive are handed to the Cluster
+ * instead of being added to the map directly.
+ *
+ * The Marker is removed from the map and destroyed when the directive's scope
+ * is destroyed.
+ **/
+angular.module( 'googlyMapulous' ).directive( 'mapMarker', [ 'googleMaps', function ( googleMaps ) {
+  return {
+    restrict: 'E',
+    require: [ '^googleMap', '?^mapCluster' ],
+    scope: {
+      lat: '=',
+      lng: '=',
+      icon: '@',
+      width: '@',
+      height: '@',
+      label: '@',
+      data: '=?'
+    },
+    link: function ( scope, element, attrs, ctrls ) {
+      var mapCtrl     = ctrls[ 0 ];
+      var clusterCtrl = ctrls[ 1 ];
+      var map         = null;
+      var marker      = null;
+      var destroyed   = false;
+
+      // Wait for the map to exist before building anything
+      mapCtrl.onMapLoaded( function ( googleMap ) {
+        if ( destroyed ) { return; }
+
+        map    = googleMap;
+        marker = buildMarker();
+
+        // Move the marker when position changes
+        scope.$watchGroup( [ 'lat', 'lng' ], function ( position, oldPosition ) {
+          if ( position[ 0 ] === oldPosition[ 0 ] && position[ 1 ] === oldPosition[ 1 ] ) { return; }
+
+          if ( marker ) {
+            marker.setPosition( parseFloat( position[ 0 ] ), parseFloat( position[ 1 ] ) );
+
+            if ( clusterCtrl ) { clusterCtrl.refresh(); }
+          } else {
+            marker = buildMarker();
+          }
+        });
+
+        // Swap the icon when icon or dimensions change
+        scope.$watchGroup( [ 'icon', 'width', 'height' ], function ( icon, oldIcon ) {
+          if ( ! marker || angular.equals( icon, oldIcon ) ) { return; }
+
+          marker.setIcon( icon[ 0 ], parseInt( icon[ 1 ], 10 ), parseInt( icon[ 2 ], 10 ) );
+        });
+
+        // Relabel the marker.  Labels can only be updated on markers that
+        // were built with one, so rebuild if the label comes or goes.
+        scope.$watch( 'label', function ( label, oldLabel ) {
+          if ( ! marker || label === oldLabel ) { return; }
+
+          if ( label && marker.hasLabel() ) {
+            marker.setLabel( label );
+          } else {
+            removeMarker();
+            marker = buildMarker();
+          }
+        });
+
+        // And keep marker data current
+        scope.$watch( 'data', function ( data, oldData ) {
+          if ( marker && data !== oldData ) {
+            marker.setData( data );
+
+            // Cluster groups carry marker data, so they need rebuilding too
+            if ( clusterCtrl ) { clusterCtrl.refresh(); }
+          }
+        });
+      });
+
+      // Clean up after ourselves
+      scope.$on( '$destroy', function () {
+        destroyed = true;
+
+        removeMarker();
+
+        map = marker = null;
+      });
+
+      /////////////////////////////////////////////////////////////////////////////
+      // Internal functions ///////////////////////////////////////////////////////
+      /////////////////////////////////////////////////////////////////////////////
+
+      /**
+       * Build the Marker from the current attribute values.  The Marker is
+       * added to the parent map, or handed to the parent cluster if there is
+       * one.
+       *
+       * @return {Object} Returns constructed Marker object or null if there is
+       * not a valid position yet
+       */
+      function buildMarker () {
+        var lat = parseFloat( scope.lat );
+        var lng = parseFloat( scope.lng );
+
+        if ( isNaN( lat ) || isNaN( lng ) ) { return null; }
+
+        var built = new googleMaps.Marker(
+          lat,
+          lng,
+          clusterCtrl ? null : map,
+          scope.icon || null,
+          parseInt( scope.width, 10 ) || null,
+          parseInt( scope.height, 10 ) || null,
+          null,
+          scope.label || null,
+          scope.data
+        );
+
+        // Marker reports what went wrong if it couldn't be built
+        if ( ! built.getMarker() ) { return null; }
+
+        if ( clusterCtrl ) { clusterCtrl.addMarker( built ); }
+
+        return built;
+      }
+
+      /**
+       * Take the current Marker off the map (or out of the parent cluster)
+       * and destroy it.
+       */
+      function removeMarker () {
+        if ( ! marker ) { return; }
+
+        if ( clusterCtrl ) {
+          clusterCtrl.removeMarker( marker );
+        } else if ( map ) {
+          map.removeMarker( marker );
+        }
+
+        marker.destroy();
+      }
+    }
+  };
+}]);
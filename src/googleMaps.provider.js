@@ -17,11 +17,144 @@ angular.module( 'googlyMapulous' ).provider( 'googleMaps', [ function () {
   // Back to the studio ///////////////////////////////////////////////////////
   /////////////////////////////////////////////////////////////////////////////
 
+  // API loader options, set with configure
+  var loaderOptions = null;
+
+  /**
+   * Configure the Google Maps API loader.  Call this in a config block to have
+   * the API script injected for you rather than including it on the page:
+   *
+   * googleMapsProvider.configure({
+   *   key: 'key',
+   *   libraries: [ 'geometry' ],
+   *   language: 'en',
+   *   region: 'US',
+   *   version: '3',
+   *   scripts: [ { url: 'infobox.js', global: 'InfoBox' } ]
+   * });
+   *
+   * See Loader.config for all options.
+   *
+   * @param {Object} options Loader options
+   **/
+  function configure ( options ) {
+    if ( options && options instanceof Object ) {
+      loaderOptions = options;
+    } else {
+      console.error( 'Valid options object must be passed to googleMapsProvider.configure' );
+    }
+  }
+
+  /**
+   * Set app-wide defaults for maps, markers, infoboxes and clusters.  Call
+   * this in a config block, before anything is built.  Defaults are deep
+   * merged into the existing defaults, and every map/marker/cluster gets its
+   * own copy:
+   *
+   * googleMapsProvider.setDefaults({
+   *   map: { center: { lat: 40.7, lng: -74 }, zoom: 10 },
+   *   marker: { draggable: true },
+   *   infobox: { boxClass: 'my-infobox', openOn: 'click' },
+   *   cluster: { clusterMapping: { 10: 2000, default: 8000 } }
+   * });
+   *
+   * @param {Object} defaults Object containing any of map (map options),
+   * marker (marker options), infobox (addInfobox defaults) and cluster
+   * (cluster config)
+   **/
+  function setDefaults ( defaults ) {
+    if ( defaults && defaults instanceof Object ) {
+      if ( defaults.map ) { deepMerge( GoogleMap.prototype.config.defaultMapOptions, defaults.map ); }
+      if ( defaults.marker ) { deepMerge( Marker.prototype.config.defaultMarkerOptions, defaults.marker ); }
+      if ( defaults.infobox ) { deepMerge( Marker.prototype.config.defaultInfoboxOptions, defaults.infobox ); }
+      if ( defaults.cluster ) { deepMerge( Cluster.prototype.config, defaults.cluster ); }
+    } else {
+      console.error( 'Valid defaults object must be passed to googleMapsProvider.setDefaults' );
+    }
+  }
+
+  // Registry of maps built with an id (see googleMap directive map-id)
+  var maps = {};
+
+  /**
+   * Register a GoogleMap object under an id so it can be retrieved from
+   * anywhere with getMap.
+   *
+   * @param {String} id  Map id
+   * @param {Object} map GoogleMap object
+   **/
+  function registerMap ( id, map ) {
+    if ( id && map ) {
+      if ( maps[ id ] && maps[ id ] !== map ) {
+        console.error( 'A map with id "' + id + '" is already registered, replacing it' );
+      }
+
+      maps[ id ] = map;
+    } else {
+      console.error( 'Valid id and GoogleMap object must be passed to googleMaps.registerMap' );
+    }
+  }
+
+  /**
+   * Remove a map from the registry.  If a map is passed, the id will only be
+   * cleared if it still points at that map.
+   *
+   * @param {String} id  Map id
+   * @param {Object} map GoogleMap object (optional)
+   **/
+  function unregisterMap ( id, map ) {
+    if ( maps[ id ] && ( ! map || maps[ id ] === map ) ) {
+      delete maps[ id ];
+    }
+  }
+
+  /**
+   * Retrieve a registered map.
+   *
+   * @param  {String} id Map id
+   * @return {Object}    Returns GoogleMap object or null if there isn't one
+   **/
+  function getMap ( id ) {
+    return maps[ id ] || null;
+  }
+
   // Bundle everything up and back we go
   return {
-    $get: function () {
-      return { GoogleMap: GoogleMap, Marker: Marker, Cluster: Cluster };
-    }
+    configure: configure,
+    setDefaults: setDefaults,
+    $get: [ '$q', '$window', '$document', '$timeout', '$templateRequest', '$controller', '$injector', function ( $q, $window, $document, $timeout, $templateRequest, $controller, $injector ) {
+      var loader = new Loader( loaderOptions, $q, $window, $document, $timeout );
+
+      // Maps need these to compile infobox templates
+      GoogleMap.services.$q               = $q;
+      GoogleMap.services.$templateRequest = $templateRequest;
+      GoogleMap.services.$controller      = $controller;
+      GoogleMap.services.$injector        = $injector;
+
+      return {
+        GoogleMap: GoogleMap,
+        Marker: Marker,
+        Cluster: Cluster,
+
+        // Reducer factories for Cluster.setAggregators
+        aggregators: Cluster.aggregators,
+
+        LoaderError: LoaderError,
+        registerMap: registerMap,
+        unregisterMap: unregisterMap,
+        getMap: getMap,
+
+        /**
+         * Wait for the Google Maps API (loading it if configured to).
+         *
+         * @return {Object} Returns promise resolved once the API is ready or
+         * rejected with a LoaderError if it can't be loaded
+         **/
+        ready: function () {
+          return loader.load();
+        }
+      };
+    }]
   };
 
 }]);
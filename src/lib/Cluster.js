@@ -16,8 +16,68 @@
    * @param  {String}  label   Text or HTML to use as marker label (optional)
    * @param  {Mixed}   data    Additional data to save with Cluster object
    * @return {Object}          Returns constructed Cluster object
+   *
+   * Can also be passed a single options object instead:
+   * new Cluster({
+   *   markers: markers,
+   *   map: map,
+   *   icon: { url: 'cluster.png', width: 40, height: 40 }, // Or just the url
+   *   options: { zIndex: 10 },
+   *   label: 'Label',
+   *   data: { type: 'hotels' },
+   *   infobox: { content: '<div>Group</div>' }, // See addInfobox
+   *   strategy: 'grid', // See setStrategy
+   *   viewport: { padding: 0.5 }, // Or true, see setViewport
+   *   worker: true, // See setWorker
+   *   clickMode: 'zoomToBounds', // See setClickMode
+   *   iconStyle: { category: 'type' }, // Or true, see setIconStyle
+   *   // See setAggregators
+   *   aggregators: { total: Cluster.aggregators.sum( 'price' ) },
+   *   maxZoom: 15, // See setMaxZoom
+   *   minClusterSize: 3, // See setMinClusterSize
+   *   distanceUnit: 'pixels' // See setDistanceUnit
+   * });
    **/
   var Cluster = function ( markers, map, icon, width, height, options, label, data ) {
+    var infobox        = null;
+    var strategy       = null;
+    var viewport       = null;
+    var worker         = null;
+    var clickMode      = null;
+    var iconStyle      = null;
+    var aggregators    = null;
+    var maxZoom        = null;
+    var minClusterSize = null;
+    var distanceUnit   = null;
+
+    // Unpack options object if that's what was passed
+    if ( isPlainObject( markers ) ) {
+      var settings = markers;
+      var iconSettings = isPlainObject( settings.icon ) ? settings.icon : { url: settings.icon };
+
+      this.errors.options( invalidKeys( settings, this.config.optionKeys ), 'Cluster' );
+      this.errors.options( invalidKeys( iconSettings, [ 'url', 'width', 'height' ] ), 'Cluster icon' );
+
+      markers   = settings.markers;
+      map       = settings.map;
+      icon      = iconSettings.url;
+      width     = iconSettings.width;
+      height    = iconSettings.height;
+      options   = settings.options;
+      label     = settings.label;
+      data      = settings.data;
+      infobox   = settings.infobox;
+      strategy  = settings.strategy;
+      viewport  = settings.viewport;
+      worker    = settings.worker;
+      clickMode = settings.clickMode;
+      iconStyle      = settings.iconStyle;
+      aggregators    = settings.aggregators;
+      maxZoom        = settings.maxZoom;
+      minClusterSize = settings.minClusterSize;
+      distanceUnit   = settings.distanceUnit;
+    }
+
     if ( google.maps.geometry ) {
       // Make sure this has a unique copy of the state object
       this.state = JSON.parse(JSON.stringify( this.state ));
@@ -25,6 +85,10 @@
       // As well as the events object
       this.events = JSON.parse(JSON.stringify( this.events ));
 
+      // And the config object, so zoom mapping changes only affect this
+      // cluster
+      this.config = deepMerge( {}, this.config );
+
       // Update internal state with passed params
       this.state.icon    = icon;
       this.state.width   = width;
@@ -33,8 +97,43 @@
       this.state.label   = label;
       this.state.data    = data;
 
+      // Neighbor lookups for the distance strategy
+      this.state.index = new SpatialIndex();
+
       // Add any initial markers passed in
-      if ( markers && markers.length ) { this.state.markers = markers; }
+      if ( markers && markers.length ) {
+        this.state.markers = markers;
+
+        markers.forEach( ( function ( marker ) {
+          this.state.index.insert( marker );
+        }).bind( this ));
+      }
+
+      // Register cluster marker infobox if passed in the options object
+      if ( infobox ) { this.addInfobox( infobox ); }
+
+      // And clustering strategy
+      if ( strategy ) { this.setStrategy( strategy ); }
+
+      // Viewport clustering can be true or { padding: 0.5 }
+      if ( viewport ) { this.setViewport( true, viewport.padding ); }
+
+      // And worker grouping
+      if ( worker ) { this.setWorker( true ); }
+
+      // And click behavior
+      if ( clickMode ) { this.setClickMode( clickMode ); }
+
+      // And generated icons
+      if ( iconStyle ) { this.setIconStyle( iconStyle ); }
+
+      // And data aggregators
+      if ( aggregators ) { this.setAggregators( aggregators ); }
+
+      // And grouping limits
+      if ( typeof( maxZoom ) === 'number' ) { this.setMaxZoom( maxZoom ); }
+      if ( minClusterSize ) { this.setMinClusterSize( minClusterSize ); }
+      if ( distanceUnit ) { this.setDistanceUnit( distanceUnit ); }
 
       // If map was passed, attach to map immediately and start clustering
       if ( map ) { this.setMap( map ); }
@@ -74,15 +173,18 @@
    **/
   Cluster.prototype.setMap = function ( map ) {
     if ( map ) {
+      // Moving maps, so clear out of the old one first
+      if ( this.state.map && this.state.map !== map ) {
+        this.clearMarkers();
+        this.state.map.unregisterCluster( this );
+      }
+
       // Set map internally
       this.state.map = map;
 
-      // Bind clustering to map zoom event
-      map.addEvent( 'zoom_changed', debounce(( function ( event ) {
-        if ( this.state.markers.length ) {
-          this.clusterMarkers();
-        }
-      }).bind( this ), 150 ));
+      // The map reclusters its Clusters on zoom (and idle, for viewport
+      // clustering) and folds spiderfied markers back up on click
+      map.registerCluster( this );
 
       // And start clustering immediately if we also have markers
       if ( this.state.markers.length ) {
@@ -93,6 +195,142 @@
     }
   };
 
+  /**
+   * Show or hide the Cluster.  Hidden Clusters take their markers off the
+   * map and stay out of clustering until shown again.
+   *
+   * @param {Boolean} visible Whether the Cluster should be shown
+   **/
+  Cluster.prototype.setVisible = function ( visible ) {
+    this.state.hidden = visible ? false : true;
+
+    if ( this.state.map ) { this.clusterMarkers(); }
+  };
+
+  /**
+   * Check if the Cluster is shown (see setVisible).
+   *
+   * @return {Boolean} Returns true if the Cluster is shown
+   **/
+  Cluster.prototype.isVisible = function () {
+    return ! this.state.hidden;
+  };
+
+  /**
+   * Update the icon used for cluster markers.  Takes effect the next time
+   * markers are clustered.
+   *
+   * @param {String}  icon   Cluster icon (png or svg, optional)
+   * @param {Integer} width  Cluster icon width (optional)
+   * @param {Integer} height Cluster icon height (optional)
+   **/
+  Cluster.prototype.setIcon = function ( icon, width, height ) {
+    this.state.icon   = icon;
+    this.state.width  = width;
+    this.state.height = height;
+
+    this.state.version++;
+  };
+
+  /**
+   * Generate cluster marker icons instead of using the cluster icon: a
+   * circle showing the number of markers, sized and colored by bucket (see
+   * config.defaultIconStyle), optionally ringed by a donut chart of the
+   * markers' categories.  Icons are SVG built on the spot, so nothing is
+   * fetched.  Takes effect the next time markers are clustered.
+   *
+   * @param {Mixed} style Icon style rolled into the defaults, true for the
+   * defaults as they are, or false/null to go back to the cluster icon.  Ex:
+   * { category: 'type', categoryColors: { hotel: '#d2493c' } }
+   **/
+  Cluster.prototype.setIconStyle = function ( style ) {
+    if ( style ) {
+      this.config.iconStyle = deepMerge( deepMerge( {}, this.config.defaultIconStyle ), isPlainObject( style ) ? style : {} );
+    } else {
+      this.config.iconStyle = null;
+    }
+
+    this.state.categoryColors = {};
+    this.state.version++;
+  };
+
+  /**
+   * Build a generated icon (see setIconStyle) for a group of markers.
+   *
+   * @param  {Array}  markers Markers in the group
+   * @return {Object}         Returns icon object ready for a google Marker
+   **/
+  Cluster.prototype.clusterIcon = function ( markers ) {
+    var style  = this.config.iconStyle;
+    var count  = markers.length;
+    var bucket = style.buckets[ style.buckets.length - 1 ];
+    var slices = [];
+
+    for ( var i = 0; i < style.buckets.length; i++ ) {
+      if ( typeof( style.buckets[ i ].max ) !== 'number' || count < style.buckets[ i ].max ) {
+        bucket = style.buckets[ i ];
+        break;
+      }
+    }
+
+    // Tally up categories for the donut
+    if ( style.category ) {
+      var counts = {};
+      var order  = [];
+
+      markers.forEach( function ( marker ) {
+        var data     = marker.getData();
+        var category = typeof( style.category ) === 'function'
+          ? style.category( data )
+          : ( data ? data[ style.category ] : null );
+
+        category = ( category === null || category === undefined ) ? '' : String( category );
+
+        if ( ! counts[ category ] ) {
+          counts[ category ] = 0;
+          order.push( category );
+        }
+
+        counts[ category ]++;
+      });
+
+      // Sorted so the same mix always comes out the same way round
+      slices = order.sort().map( ( function ( category ) {
+        return { count: counts[ category ], color: this.categoryColor( category ) };
+      }).bind( this ));
+    }
+
+    return {
+      url: buildClusterIcon( count, bucket, slices, style ),
+      size: new google.maps.Size( bucket.size, bucket.size ),
+      scaledSize: new google.maps.Size( bucket.size, bucket.size ),
+      origin: new google.maps.Point( 0, 0 ),
+      anchor: new google.maps.Point( bucket.size / 2, bucket.size / 2 )
+    };
+  };
+
+  /**
+   * Look up the donut color for a category.  Categories missing from
+   * categoryColors are handed the next palette color, and keep it.
+   *
+   * @param  {String} category Category name ('' for markers without one)
+   * @return {String}          Returns color
+   **/
+  Cluster.prototype.categoryColor = function ( category ) {
+    var style = this.config.iconStyle;
+
+    if ( category === '' ) { return style.uncategorizedColor; }
+    if ( style.categoryColors[ category ] ) { return style.categoryColors[ category ]; }
+
+    if ( ! this.state.categoryColors[ category ] ) {
+      var assigned = Object.keys( this.state.categoryColors ).length;
+
+      this.state.categoryColors[ category ] = style.palette[ assigned % style.palette.length ];
+    }
+
+    return this.state.categoryColors[ category ];
+  };
+
   /**
    * Register an infobox for cluster markers.  This will be instantiated when
    * each cluster marker is created and has the same arguments as the Marker
@@ -108,10 +346,25 @@
    * constructor
    * @param {String}  openOn     Event to open infobox on.  Can be either 'hover'
    * or 'click.'  Defaults to hover.
-   * @param {Boolean} scrollable Whether content should be scrollable or not
-   * (requires JScrollPane)
+   * @param {Mixed}   scrollable Set to true to make content scrollable with
+   * native scrolling, or to the name of another scroll adapter (i.e.
+   * 'jscrollpane', see Marker.scrollAdapters)
+   * @param {Mixed} closeTimeout If defined, will automatically close infobox
+   * after the passed timeout in milliseconds
+   *
+   * Can also be passed a single options object instead, containing any of the
+   * params above by name.
    */
   Cluster.prototype.addInfobox = function ( content, closeIcon, boxClass, offset, options, openOn, scrollable, closeTimeout ) {
+    if ( isPlainObject( content ) ) {
+      this.errors.options( invalidKeys( content, Marker.prototype.config.infoboxOptionKeys ), 'Cluster.addInfobox' );
+
+      this.state.infobox = content;
+      this.state.version++;
+
+      return;
+    }
+
     this.state.infobox = {
       content: content,
       closeIcon: closeIcon,
@@ -122,21 +375,26 @@
       scrollable: scrollable,
       closeTimeout: closeTimeout
     };
+
+    this.state.version++;
   };
 
   /**
    * Callback fired just before cluster marker creation.  This function can be
    * used to return an args object will will override any of the args passed
    * to the cluster constructor (so this can be used to dynamically update a
-   * cluster marker label for example).
+   * cluster marker label for example).  It's fired again for cluster markers
+   * that stay on the map between clustering runs, so the returned args keep
+   * up with the group.
    *
    * @param  {Function} callback Callback fired just before cluster marker
-   * creation.  Function is passed the group of markers used to create the
-   * cluster.
+   * creation.  Function is passed the group used to create the cluster
+   * (markers, centroid, data and aggregates, see setAggregators).
    */
   Cluster.prototype.onBeforeCreate = function ( callback ) {
     if ( callback && typeof( callback ) === 'function' ) {
       this.events.beforeCreate = callback;
+      this.state.version++;
     }
   };
 
@@ -145,7 +403,9 @@
    * the map (rendered).
    *
    * @param  {Function} callback Callback fired just after display markers are
-   * rendered
+   * rendered.  Passed the displayed markers and an object containing the
+   * added, removed and kept markers since the last render.  Removed cluster
+   * markers have already been destroyed.
    */
   Cluster.prototype.onRender = function ( callback ) {
     if ( callback && typeof( callback ) === 'function' ) {
@@ -168,124 +428,662 @@
     if ( leaveCallback && typeof( leaveCallback ) === 'function' ) {
       this.events.mouseleave = leaveCallback;
     }
+
+    this.state.version++;
   };
 
   /**
    * Register click function.  This will be applied to constructed Marker
    * objects as they are created.
    *
-   * @param  {Function} callback Function called on click
-   */
-  Cluster.prototype.onClick = function ( callback ) {
-    if ( callback && typeof( callback ) === 'function' ) {
-      this.events.click = callback;
+   * @param  {Function} callback Function called on click
+   */
+  Cluster.prototype.onClick = function ( callback ) {
+    if ( callback && typeof( callback ) === 'function' ) {
+      this.events.click = callback;
+      this.state.version++;
+    }
+  };
+
+  /**
+   * Run a single round of marker clustering.  This will group markers based on
+   * distance and update the map to match.  Rather than rebuilding everything,
+   * the new groups are compared against what's currently displayed: cluster
+   * markers whose membership hasn't changed (and single markers still on
+   * their own) are kept, and only the differences are added/removed.  Will do
+   * nothing if map is not set already.  When the map clusters across layers
+   * (see GoogleMap.setClusterAcrossLayers) the run is handed to the map.
+   *
+   * @param {Array} markers Markers to cluster instead of the Cluster's own
+   * (optional, used by the map to cluster across layers)
+   **/
+  Cluster.prototype.clusterMarkers = function ( markers ) {
+    if ( this.state.map ) {
+      var map    = this.state.map;
+      var groups = [];
+
+      if ( ! markers && map.config.clusterAcrossLayers && map.state.clusters.indexOf( this ) > -1 ) {
+        map.clusterLayers();
+
+        return;
+      }
+
+      markers = markers || this.state.markers;
+
+      // Put any spiderfied markers back where they belong first
+      this.unspiderfy();
+
+      // Anything still out with the worker is out of date now
+      this.state.workerJob = null;
+
+      // If there are currently markers, run clustering (hidden Clusters just
+      // clear out)
+      if ( markers.length && ! this.state.hidden ) {
+        // Only cluster what's on screen (plus padding) in viewport mode
+        var bounds = this.config.viewport ? this.getViewportBounds() : null;
+
+        this.state.clusteredBounds = bounds;
+        this.state.clusteredZoom   = this.state.map.state.map.getZoom();
+
+        // Make sure we're only grouping visible markers
+        var visibleMarkers = markers.filter( function ( marker ) {
+          return marker.isVisible() && ( ! bounds || boundsContain( bounds, marker.state.marker.getPosition() ) );
+        });
+
+        if ( visibleMarkers.length ) {
+          // Hand grouping off to the worker if there is one, it'll render
+          // when it's done (nothing to work out past maxZoom though)
+          if ( ! this.isPastMaxZoom() && this.groupInWorker( visibleMarkers ) ) { return; }
+
+          // Otherwise group markers right here
+          groups = this.group( visibleMarkers ) || [];
+        }
+      }
+
+      this.renderGroups( groups );
+    } else {
+      console.error( 'Map must be set before calling Cluster.clusterMarkers' );
+    }
+  };
+
+  /**
+   * Update the map to match a set of marker groups (see clusterMarkers).
+   *
+   * @param {Array} groups Array of marker groups (see group)
+   **/
+  Cluster.prototype.renderGroups = function ( groups ) {
+    if ( this.state.map ) {
+      // Index what's displayed right now so groups can be matched up with it
+      var previous = {};
+      var current  = [];
+      var changes  = { added: [], removed: [], kept: [] };
+
+      this.state.currentMarkers.forEach( function ( marker ) {
+        previous[ marker.clusterKey || marker.getId() ] = marker;
+      });
+
+      // Process groups of markers
+      groups.forEach( (function ( group ) {
+        var key    = this.groupKey( group.markers );
+        var marker = previous[ key ];
+
+        // Cluster markers that can't be updated in place are rebuilt (the
+        // old one is left in previous to be destroyed below)
+        if ( marker && marker.clusterKey && ! this.updateClusterMarker( marker, group ) ) {
+          marker = null;
+        }
+
+        if ( marker ) {
+          delete previous[ key ];
+
+          changes.kept.push( marker );
+        } else {
+          // Single markers are displayed as they are, groups get a new
+          // cluster marker
+          marker = group.markers.length > 1 ? this.buildClusterMarker( group, key ) : group.markers[ 0 ];
+
+          changes.added.push( marker );
+        }
+
+        current.push( marker );
+      }).bind( this ));
+
+      // Anything left over is no longer displayed.  Cluster markers are
+      // ours, so they're destroyed outright (infobox scopes and all).
+      Object.keys( previous ).forEach( ( function ( key ) {
+        var marker = previous[ key ];
+
+        if ( marker.clusterKey ) {
+          this.destroyClusterMarker( marker );
+        } else {
+          marker.closeInfobox();
+          marker.remove();
+        }
+
+        changes.removed.push( marker );
+      }).bind( this ));
+
+      this.state.currentMarkers = current;
+
+      // Now all the markers are sorted out, place the new ones on the map
+      this.displayClusterMarkers( changes );
+    }
+  };
+
+  /**
+   * Work out the Marker args for a group's cluster marker: the cluster's own
+   * settings, with a generated icon if there's an icon style (see
+   * setIconStyle) and anything returned by the beforeCreate callback on top.
+   *
+   * @param  {Object} group Marker group (see group)
+   * @return {Object}       Returns Marker args (lat, lng, map, icon, etc.)
+   **/
+  Cluster.prototype.clusterMarkerArgs = function ( group ) {
+    var args = {
+      lat: group.centroid.lat,
+      lng: group.centroid.lng,
+      map: this.state.map,
+      icon: this.config.iconStyle ? this.clusterIcon( group.markers ) : this.state.icon,
+      width: this.state.width,
+      height: this.state.height,
+      options: this.state.options,
+      label: this.state.label,
+      data: this.state.data
+    };
+
+    // Check for any new args in beforeCreate callback
+    if ( this.events.beforeCreate ) {
+      var overrides = this.events.beforeCreate( group );
+
+      if ( overrides && Object.keys( overrides ).length ) {
+        Object.keys( overrides ).forEach( function ( key ) {
+          args[ key ] = overrides[ key ];
+        });
+      }
+    }
+
+    return args;
+  };
+
+  /**
+   * Build a cluster marker for a group of markers.
+   *
+   * @param  {Object} group Marker group (see group)
+   * @param  {String} key   Group key (see groupKey)
+   * @return {Object}       Returns constructed cluster Marker object
+   **/
+  Cluster.prototype.buildClusterMarker = function ( group, key ) {
+    var args = this.clusterMarkerArgs( group );
+
+    // Build a new marker for the cluster
+    var clusterMarker = new Marker(
+      args.lat,
+      args.lng,
+      args.map,
+      args.icon,
+      args.width,
+      args.height,
+      args.options,
+      args.label,
+      args.data
+    );
+
+    // Apply callback functions to new marker if needed
+    if ( this.events.mouseenter || this.events.mouseleave ) {
+      clusterMarker.onHover( this.events.mouseenter, this.events.mouseleave );
+    }
+
+    if ( this.events.click ) {
+      clusterMarker.onClick( this.events.click );
+    }
+
+    // Built-in click behavior (see setClickMode)
+    clusterMarker.onClick( this.clusterClick.bind( this, clusterMarker ) );
+
+    // Save reference to markers, marker data and aggregates with object as
+    // well
+    clusterMarker.markerData  = group.data;
+    clusterMarker.markers     = group.markers;
+    clusterMarker.aggregates  = group.aggregates;
+    clusterMarker.clusterKey  = key;
+    clusterMarker.clusterArgs = args;
+
+    // Infobox content gets the same details as cluster.markers, cluster.data
+    // and cluster.aggregates
+    clusterMarker.infoboxLocals = {
+      cluster: {
+        markers: group.markers,
+        data: group.data,
+        aggregates: group.aggregates
+      }
+    };
+
+    // Create infobox for cluster marker if needed
+    if ( this.state.infobox ) {
+      clusterMarker.addInfobox( this.state.infobox );
+    }
+
+    return clusterMarker;
+  };
+
+  /**
+   * Bring a displayed cluster marker up to date with its group, which has the
+   * same members but may have moved or had its data change.  The marker args
+   * are worked out again (see clusterMarkerArgs) so beforeCreate output and
+   * generated icons follow along, and the position, icon, label and data are
+   * updated in place.  Labels can't be added to or taken off a marker once
+   * it's built, so those markers need rebuilding instead.
+   *
+   * @param  {Object}  marker Cluster Marker object
+   * @param  {Object}  group  Marker group (see group)
+   * @return {Boolean}        Returns false if the marker needs rebuilding
+   **/
+  Cluster.prototype.updateClusterMarker = function ( marker, group ) {
+    var args = this.clusterMarkerArgs( group );
+    var last = marker.clusterArgs;
+
+    if ( ( args.label ? true : false ) !== marker.hasLabel() ) { return false; }
+
+    var position = marker.getPosition();
+
+    if ( position.lat !== args.lat || position.lng !== args.lng ) {
+      marker.setPosition( args.lat, args.lng );
+    }
+
+    var iconUrl = function ( icon ) {
+      return icon && typeof( icon ) === 'object' ? icon.url : icon;
+    };
+
+    if ( iconUrl( args.icon ) !== iconUrl( last.icon ) || args.width !== last.width || args.height !== last.height ) {
+      marker.setIcon( args.icon, args.width, args.height );
+    }
+
+    if ( args.label && args.label !== last.label ) { marker.setLabel( args.label ); }
+    if ( args.data !== last.data ) { marker.setData( args.data ); }
+
+    marker.markerData  = group.data;
+    marker.markers     = group.markers;
+    marker.aggregates  = group.aggregates;
+    marker.clusterArgs = args;
+
+    // Infobox content picks the new details up on the next digest
+    marker.infoboxLocals.cluster.markers    = group.markers;
+    marker.infoboxLocals.cluster.data       = group.data;
+    marker.infoboxLocals.cluster.aggregates = group.aggregates;
+
+    return true;
+  };
+
+  /**
+   * Destroy a cluster marker (see buildClusterMarker) that's no longer
+   * displayed, letting go of the group details saved on it as well.
+   *
+   * @param {Object} marker Cluster Marker object
+   **/
+  Cluster.prototype.destroyClusterMarker = function ( marker ) {
+    marker.destroy();
+
+    marker.markers       = null;
+    marker.markerData    = null;
+    marker.aggregates    = null;
+    marker.clusterArgs   = null;
+    marker.infoboxLocals = null;
+  };
+
+  /**
+   * Set what happens when a cluster marker is clicked (on top of any onClick
+   * callback):
+   * - 'zoomToBounds' fits the map to the cluster's markers.  Clusters of
+   *   markers that all sit on the same spot are spiderfied instead, since
+   *   no amount of zooming will split them up.
+   * - 'spiderfy' fans the cluster's markers out around the cluster marker
+   *   (in a circle, or a spiral for bigger clusters) with legs back to the
+   *   middle.  They fold back up when the map is clicked or reclustered.
+   * - null does nothing.
+   *
+   * @param {String} mode Click mode (see above)
+   **/
+  Cluster.prototype.setClickMode = function ( mode ) {
+    if ( ! mode || mode === 'zoomToBounds' || mode === 'spiderfy' ) {
+      this.config.clickMode = mode || null;
+    } else {
+      this.errors.clickMode( mode );
+    }
+  };
+
+  /**
+   * Handle a click on a cluster marker according to the click mode.
+   *
+   * @param {Object} clusterMarker Cluster Marker object that was clicked
+   **/
+  Cluster.prototype.clusterClick = function ( clusterMarker ) {
+    var markers = clusterMarker.markers;
+
+    if ( this.config.clickMode === 'spiderfy' || ( this.config.clickMode === 'zoomToBounds' && this.isCoincident( markers ) ) ) {
+      this.spiderfy( clusterMarker );
+    } else if ( this.config.clickMode === 'zoomToBounds' ) {
+      this.state.map.fitBounds( markers );
+    }
+  };
+
+  /**
+   * Check whether markers all share the same position.
+   *
+   * @param  {Array}   markers Array of Marker objects
+   * @return {Boolean}         Returns true if all markers are in one spot
+   **/
+  Cluster.prototype.isCoincident = function ( markers ) {
+    var first = markers[ 0 ].state.marker.getPosition();
+
+    return markers.every( function ( marker ) {
+      var position = marker.state.marker.getPosition();
+
+      return position.lat() === first.lat() && position.lng() === first.lng();
+    });
+  };
+
+  /**
+   * Fan a cluster marker's markers out around it so they can be told apart
+   * (and clicked).  Any other spiderfied cluster is folded back up first.
+   *
+   * @param {Object} clusterMarker Cluster Marker object to spiderfy
+   **/
+  Cluster.prototype.spiderfy = function ( clusterMarker ) {
+    if ( ! this.state.map || ! clusterMarker.markers ) { return; }
+
+    this.unspiderfy();
+
+    var map      = this.state.map;
+    var config   = this.config.spiderfy;
+    var zoom     = map.state.map.getZoom();
+    var center   = clusterMarker.state.marker.getPosition();
+    var origin   = latLngToPixel( center.lat(), center.lng(), zoom );
+    var markers  = clusterMarker.markers;
+    var count    = markers.length;
+    var offsets  = [];
+    var angle, legLength, i;
+
+    if ( count <= config.circleLimit ) {
+      // Evenly around a circle just big enough to fit them all
+      legLength = config.circleSpacing * ( count + 2 ) / ( Math.PI * 2 );
+
+      for ( i = 0; i < count; i++ ) {
+        angle = i * Math.PI * 2 / count;
+        offsets.push({ x: legLength * Math.cos( angle ), y: legLength * Math.sin( angle ) });
+      }
+    } else {
+      // Archimedean spiral, so the legs never cross
+      legLength = config.spiralStart;
+      angle     = 0;
+
+      for ( i = 0; i < count; i++ ) {
+        angle     += config.spiralSpacing / legLength + i * 0.0005;
+        offsets.push({ x: legLength * Math.cos( angle ), y: legLength * Math.sin( angle ) });
+        legLength += Math.PI * 2 * config.spiralGrowth / angle;
+      }
+    }
+
+    var spiderfied = { clusterMarker: clusterMarker, markers: [], legs: [] };
+
+    markers.forEach( function ( marker, index ) {
+      var position = marker.state.marker.getPosition();
+      var fanned   = pixelToLatLng( origin.x + offsets[ index ].x, origin.y + offsets[ index ].y, zoom );
+      var leg      = new google.maps.Polyline( deepMerge({
+        path: [ center, new google.maps.LatLng( fanned.lat, fanned.lng ) ],
+        clickable: false,
+        map: map.state.map
+      }, config.legStyle ));
+
+      marker.setPosition( fanned.lat, fanned.lng );
+      map.addMarkers( marker );
+
+      spiderfied.markers.push({ marker: marker, position: position, fanned: fanned });
+      spiderfied.legs.push( leg );
+    });
+
+    clusterMarker.closeInfobox();
+    clusterMarker.hide();
+
+    this.state.spiderfied = spiderfied;
+  };
+
+  /**
+   * Fold spiderfied markers back into their cluster marker.
+   **/
+  Cluster.prototype.unspiderfy = function () {
+    var spiderfied = this.state.spiderfied;
+
+    if ( ! spiderfied ) { return; }
+
+    spiderfied.markers.forEach( function ( item ) {
+      var marker = item.marker;
+
+      // Destroyed while spiderfied, nothing to put back
+      if ( ! marker.state.marker ) { return; }
+
+      var current = marker.getPosition();
+
+      // Only put it back if nothing else has moved it in the meantime
+      if ( current.lat === item.fanned.lat && current.lng === item.fanned.lng ) {
+        marker.setPosition( item.position.lat(), item.position.lng() );
+      }
+
+      marker.closeInfobox();
+      marker.remove();
+    });
+
+    spiderfied.legs.forEach( function ( leg ) {
+      leg.setMap( null );
+    });
+
+    spiderfied.clusterMarker.show();
+
+    this.state.spiderfied = null;
+  };
+
+  /**
+   * Build a key identifying a group of markers by its members, used to match
+   * groups up between clustering runs.  Groups of one are keyed by the
+   * marker id.  Cluster marker keys also include the cluster's settings
+   * version, so changing the icon, infobox or callbacks rebuilds them.
+   *
+   * @param  {Array} markers Array of Marker objects in the group
+   * @return {Mixed}         Returns group key
+   **/
+  Cluster.prototype.groupKey = function ( markers ) {
+    if ( markers.length === 1 ) { return markers[ 0 ].getId(); }
+
+    var ids = markers.map( function ( marker ) {
+      return marker.getId();
+    }).sort( function ( a, b ) {
+      return a - b;
+    });
+
+    return 'c' + this.state.version + ':' + ids.join( ',' );
+  };
+
+  /**
+   * Turn viewport clustering on or off.  With it on, only markers within the
+   * map bounds (plus padding) are grouped and rendered, and clustering runs
+   * whenever the map goes idle (after pans as well as zooms) rather than on
+   * zoom alone.  Pans that stay within the padded area don't recluster.
+   *
+   * @param {Boolean} enabled Set to true to only cluster the viewport
+   * @param {Float}   padding Padding around the viewport as a ratio of its
+   * size, i.e. 0.5 adds half the width/height on each side (optional)
+   **/
+  Cluster.prototype.setViewport = function ( enabled, padding ) {
+    this.config.viewport = enabled ? true : false;
+
+    if ( typeof( padding ) === 'number' && padding >= 0 ) {
+      this.config.viewportPadding = padding;
+    }
+
+    // Force the next idle to recluster
+    this.state.clusteredBounds = null;
+  };
+
+  /**
+   * Turn worker grouping on or off.  With it on, the built-in strategies run
+   * in a Web Worker so grouping large numbers of markers doesn't block the
+   * page (rendering still happens here).  Results for runs that have been
+   * superseded by a newer run (i.e. a later zoom) are thrown away.  Custom
+   * strategies always run on the main thread, as does everything if Web
+   * Workers aren't available.
+   *
+   * @param {Boolean} enabled Set to true to group markers in a worker
+   **/
+  Cluster.prototype.setWorker = function ( enabled ) {
+    this.config.worker = enabled ? true : false;
+
+    if ( ! enabled && this.state.worker ) {
+      this.state.worker.terminate();
+
+      this.state.worker    = null;
+      this.state.workerJob = null;
+    }
+  };
+
+  /**
+   * Send markers off to the worker for grouping.  The groups are rendered
+   * once the worker posts them back.
+   *
+   * @param  {Array}   markers Array of Marker objects to group
+   * @return {Boolean}         Returns true if the worker took the job, false
+   * if grouping needs to happen on the main thread instead
+   **/
+  Cluster.prototype.groupInWorker = function ( markers ) {
+    var strategy = this.config.strategy;
+
+    if ( ! this.config.worker || ( strategy !== 'distance' && strategy !== 'grid' ) ) {
+      return false;
+    }
+
+    if ( ! this.state.worker ) {
+      this.state.worker = createClusterWorker();
+
+      if ( ! this.state.worker ) {
+        this.errors.worker();
+        this.config.worker = false;
+
+        return false;
+      }
+
+      this.state.worker.onmessage = this.receiveWorkerGroups.bind( this );
+
+      // Give up on the worker and group here from now on
+      this.state.worker.onerror = ( function ( error ) {
+        var pending = this.state.workerJob;
+
+        this.errors.worker( error );
+        this.setWorker( false );
+
+        if ( pending ) { this.clusterMarkers(); }
+      }).bind( this );
+    }
+
+    var zoom = this.state.map.state.map.getZoom();
+    var size = strategy === 'grid' ? this.getGridSize( zoom ) : this.getGroupingDistance( zoom );
+
+    // Let the main thread strategy deal with bad config
+    if ( ! size ) { return false; }
+
+    var positions = new Float64Array( markers.length * 2 );
+
+    markers.forEach( function ( marker, index ) {
+      var position = marker.state.marker.getPosition();
+
+      positions[ index * 2 ]     = position.lat();
+      positions[ index * 2 + 1 ] = position.lng();
+    });
+
+    this.state.workerJob = { id: ++this.state.workerSequence, markers: markers };
+
+    this.state.worker.postMessage({
+      id: this.state.workerJob.id,
+      positions: positions,
+      strategy: strategy,
+      size: size,
+      zoom: zoom
+    }, [ positions.buffer ] );
+
+    return true;
+  };
+
+  /**
+   * Handle groups posted back from the worker.  Results are dropped if
+   * another run has started since the job was sent.
+   *
+   * @param {Object} event Worker message event
+   **/
+  Cluster.prototype.receiveWorkerGroups = function ( event ) {
+    var job = this.state.workerJob;
+
+    if ( ! job || event.data.id !== job.id ) { return; }
+
+    this.state.workerJob = null;
+
+    var groups = event.data.groups.map( function ( indices ) {
+      return indices.map( function ( index ) {
+        return job.markers[ index ];
+      });
+    });
+
+    this.renderGroups( this.formatGroups( groups ) || [] );
+  };
+
+  /**
+   * Get the current map bounds plus viewport padding.
+   *
+   * @return {Object} Returns object containing north, east, south and west
+   * (east may be less than west if the bounds cross the antimeridian) or null
+   * if the map doesn't have bounds yet
+   **/
+  Cluster.prototype.getViewportBounds = function () {
+    var bounds = this.state.map ? this.state.map.state.map.getBounds() : null;
+
+    if ( ! bounds ) { return null; }
+
+    var padding = this.config.viewportPadding;
+    var north   = bounds.getNorthEast().lat();
+    var east    = bounds.getNorthEast().lng();
+    var south   = bounds.getSouthWest().lat();
+    var west    = bounds.getSouthWest().lng();
+    var height  = north - south;
+    var width   = east >= west ? east - west : east + 360 - west;
+
+    // Padded all the way around the world, so don't bother with lng at all
+    if ( width * ( 1 + padding * 2 ) >= 360 ) {
+      west = -180;
+      east = 180;
+    } else {
+      west = wrapLng( west - width * padding );
+      east = wrapLng( east + width * padding );
     }
+
+    return {
+      north: Math.min( north + height * padding, 90 ),
+      east: east,
+      south: Math.max( south - height * padding, -90 ),
+      west: west
+    };
   };
 
   /**
-   * Run a single round of marker clustering.  This will group markers based on
-   * distance, build appropriate map markers for result and update the map with
-   * finished markers.  Will do nothing if map is not set already.
+   * Check whether the current map view is already covered by the last
+   * viewport clustering run (same zoom, viewport inside the padded bounds).
+   *
+   * @return {Boolean} Returns true if reclustering isn't needed
    **/
-  Cluster.prototype.clusterMarkers = function () {
-    if ( this.state.map ) {
-      // First clear existing list of markers
-      this.clearMarkers();
-
-      // If there are currently markers, run clustering
-      if ( this.state.markers.length ) {
-        // Make sure we're only grouping visible markers
-        var visibleMarkers = this.state.markers.filter( function ( marker ) {
-          return marker.isVisible();
-        });
+  Cluster.prototype.isViewportClustered = function () {
+    var clustered = this.state.clusteredBounds;
+    var bounds    = this.state.map.state.map.getBounds();
 
-        if ( visibleMarkers.length ) {
-          // Then group markers
-          var groups = this.group( visibleMarkers );
-
-          // Process groups of markers
-          if ( groups && groups.length ) {
-            groups.forEach( (function ( group ) {
-              if ( group.markers.length > 1 ) {
-                var args = {
-                  lat: group.centroid.lat,
-                  lng: group.centroid.lng,
-                  map: this.state.map,
-                  icon: this.state.icon,
-                  width: this.state.width,
-                  height: this.state.height,
-                  options: this.state.options,
-                  label: this.state.label,
-                  data: this.state.data
-                };
-
-                // Check for any new args in beforeCreate callback before creating
-                // marker object
-                if ( this.events.beforeCreate ) {
-                  overrides = this.events.beforeCreate( group );
-
-                  if ( overrides && Object.keys( overrides ).length ) {
-                    Object.keys( overrides ).forEach( function ( key ) {
-                      args[ key ] = overrides[ key ];
-                    });
-                  }
-                }
-
-                // Build a new marker for the cluster
-                var clusterMarker = new Marker(
-                  args.lat,
-                  args.lng,
-                  args.map,
-                  args.icon,
-                  args.width,
-                  args.height,
-                  args.options,
-                  args.label,
-                  args.data
-                );
-
-                // Apply callback functions to new marker if needed
-                if ( this.events.mouseenter || this.events.mouseleave ) {
-                  clusterMarker.onHover( this.events.mouseenter, this.events.mouseleave );
-                }
-
-                if ( this.events.click ) {
-                  clusterMarker.onClick( this.events.click );
-                }
-
-                // Create infobox for cluster marker if needed
-                if ( this.state.infobox ) {
-                  clusterMarker.addInfobox(
-                    this.state.infobox.content,
-                    this.state.infobox.closeIcon,
-                    this.state.infobox.boxClass,
-                    this.state.infobox.offset,
-                    this.state.infobox.options,
-                    this.state.infobox.openOn,
-                    this.state.infobox.scrollable
-                  );
-                }
-
-                // Save reference to markers and marker data with object as well
-                clusterMarker.markerData = group.data;
-                clusterMarker.markers    = group.markers;
-
-                // And push the new cluster marker
-                this.state.currentMarkers.push( clusterMarker );
-              } else {
-                // Well this is easy, just use stock marker
-                this.state.currentMarkers.push( group.markers[ 0 ] );
-              }
-            }).bind( this ));
-
-            // Now all the markers are built, place them on the map
-            this.displayClusterMarkers();
-          }
-        }
-      }
-    } else {
-      console.error( 'Map must be set before calling Cluster.clusterMarkers' );
+    if ( ! clustered || ! bounds || this.state.clusteredZoom !== this.state.map.state.map.getZoom() ) {
+      return false;
     }
+
+    return boundsContain( clustered, bounds.getNorthEast() ) && boundsContain( clustered, bounds.getSouthWest() );
   };
 
   /**
@@ -301,10 +1099,12 @@
         markers.forEach( (function ( marker ) {
           // Update bookkeeping
           this.state.markers.push( marker );
+          this.state.index.insert( marker );
         }).bind( this ));
       } else {
         // Update bookkeeping
         this.state.markers.push( markers );
+        this.state.index.insert( markers );
       }
 
       // Update clustering with new markers
@@ -338,6 +1138,10 @@
 
     if ( index > -1 ) {
       this.state.markers.splice( index, 1 );
+      this.state.index.remove( marker );
+
+      // Any worker run in flight still has the marker in it
+      this.state.workerJob = null;
     }
   };
 
@@ -351,10 +1155,14 @@
       this.state.currentMarkers &&
       this.state.currentMarkers.length
     ) {
-      // Remove from the map
-      this.state.currentMarkers.forEach( function ( marker ) {
-        marker.remove();
-      });
+      // Remove from the map (cluster markers are ours, so they're destroyed)
+      this.state.currentMarkers.forEach( ( function ( marker ) {
+        if ( marker.clusterKey ) {
+          this.destroyClusterMarker( marker );
+        } else {
+          marker.remove();
+        }
+      }).bind( this ));
 
       // Then empty the currentMarkers array
       this.state.currentMarkers = [];
@@ -369,87 +1177,242 @@
 
     // Clear the internal list of markers
     this.state.markers = [];
+    this.state.index.clear();
+
+    // And forget about any grouping still out with the worker
+    this.state.workerJob = null;
   };
 
   /**
-   * Show the current list of cluster markers.
+   * Tear the Cluster down for good: stop the worker, destroy the cluster
+   * markers it built, take its markers off the map and detach from the map.
+   * The markers themselves are left alone otherwise, since they belong to
+   * whoever added them.
    **/
-  Cluster.prototype.displayClusterMarkers = function () {
-    if (
-      this.state.map &&
-      this.state.currentMarkers &&
-      this.state.currentMarkers.length
-    ) {
-      this.state.map.addMarkers( this.state.currentMarkers );
+  Cluster.prototype.destroy = function () {
+    this.setWorker( false );
+    this.unspiderfy();
+    this.clearMarkers();
+
+    if ( this.state.map ) { this.state.map.unregisterCluster( this ); }
+
+    this.state.index.clear();
+
+    this.state.map            = null;
+    this.state.markers        = [];
+    this.state.currentMarkers = [];
+
+    Object.keys( this.events ).forEach( ( function ( event ) {
+      this.events[ event ] = null;
+    }).bind( this ));
+  };
+
+  /**
+   * Put newly displayed cluster markers on the map and fire the render
+   * callback.
+   *
+   * @param {Object} changes Object containing added, removed and kept arrays
+   * of Markers (optional, all current markers are added if not passed)
+   **/
+  Cluster.prototype.displayClusterMarkers = function ( changes ) {
+    changes = changes || { added: this.state.currentMarkers, removed: [], kept: [] };
+
+    if ( this.state.map ) {
+      if ( changes.added.length ) { this.state.map.addMarkers( changes.added ); }
 
       // If render event is set, fire it with the set of displayed markers
+      // and what changed
       if ( this.events.render ) {
-        this.events.render( this.state.currentMarkers );
+        this.events.render( this.state.currentMarkers, changes );
       }
     }
   };
 
   /**
-   * Group passed Marker objects based on passed distance.  Can be passed
-   * markers and distance or will attempt to reference internal markers/map
-   * zoom level for distance.
+   * Group passed Marker objects using the Cluster's strategy (see
+   * setStrategy).  Can be passed markers and distance or will attempt to
+   * reference internal markers/map zoom level for distance.
    *
    * @param {Array}   markers  Array of Marker objects to cluster (optional)
-   * @param {Integer} distance Grouping distance (meters)
+   * @param {Integer} distance Grouping distance (meters for the distance
+   * strategy, pixels for the grid strategy, optional)
    **/
   Cluster.prototype.group = function ( markers, distance ) {
     var markers  = markers || this.state.markers;
-    var distance = distance || this.getGroupingDistance();
+    var strategy = this.getStrategy();
 
-    if ( markers && markers.length && distance ) {
-      // Create scratch list of markers (working copy)
-      var grouped = [];
-      var scratch = markers.slice();
+    if ( markers && markers.length && strategy ) {
+      var zoom    = this.state.map ? this.state.map.state.map.getZoom() : null;
+      var grouped = this.isPastMaxZoom( zoom )
+        ? markers.map( function ( marker ) { return [ marker ]; } )
+        : strategy.call( this, markers.slice(), zoom, distance );
 
-      // Find groups of markers
-      var grouped = this.findMarkerGroups( distance, scratch, grouped );
+      return this.formatGroups( grouped );
+    } else if ( ! strategy ) {
+      this.errors.strategy( this.config.strategy );
+    } else {
+      this.errors.group( markers, distance );
+    }
+  };
 
-      // Take raw marker groups, find the centroid and assign
-      // to internal state array.  Also save property info if it
-      // exists in the marker
-      if ( grouped.length ) {
-        var formattedGroups = [];
+  /**
+   * Take raw marker groups (arrays of Markers), find the centroid and
+   * collect marker data for each.  Groups of more than one marker also get
+   * aggregates (see setAggregators).
+   *
+   * @param  {Array} grouped Array of arrays of Marker objects
+   * @return {Array}         Returns array of groups containing markers,
+   * centroid, data and aggregates, or null if there were no groups
+   **/
+  Cluster.prototype.formatGroups = function ( grouped ) {
+    // Take raw marker groups, find the centroid and assign
+    // to internal state array.  Also save property info if it
+    // exists in the marker
+    if ( grouped && grouped.length ) {
+      var formattedGroups = [];
+
+      // Groups below minClusterSize are broken back up into single markers
+      if ( this.config.minClusterSize > 2 ) {
+        var minSize = this.config.minClusterSize;
+        var split   = [];
 
         grouped.forEach( function ( group ) {
-          var formatted = { markers: group, data: [] };
+          if ( group.length >= minSize ) {
+            split.push( group );
+          } else {
+            group.forEach( function ( marker ) { split.push( [ marker ] ); } );
+          }
+        });
 
-          // Find the centroid
-          if ( group.length ) {
-            formatted.centroid = { lat: 0, lng: 0 };
-            group.forEach( function ( marker ) {
-              formatted.centroid.lat += marker.state.marker.getPosition().lat();
-              formatted.centroid.lng += marker.state.marker.getPosition().lng();
+        grouped = split;
+      }
 
-              // Save marker data if it exists
-              if ( marker.state.data ) { formatted.data.push( marker.state.data ) };
-            });
+      grouped.forEach( ( function ( group ) {
+        var formatted = { markers: group, data: [], aggregates: null };
 
-            formatted.centroid.lat /= group.length;
-            formatted.centroid.lng /= group.length;
-          }
+        // Find the centroid
+        if ( group.length ) {
+          formatted.centroid = { lat: 0, lng: 0 };
+          group.forEach( function ( marker ) {
+            formatted.centroid.lat += marker.state.marker.getPosition().lat();
+            formatted.centroid.lng += marker.state.marker.getPosition().lng();
 
-          formattedGroups.push( formatted );
-        });
+            // Save marker data if it exists
+            if ( marker.state.data ) { formatted.data.push( marker.state.data ) };
+          });
+
+          formatted.centroid.lat /= group.length;
+          formatted.centroid.lng /= group.length;
+        }
+
+        // Single markers are displayed as they are, so only actual clusters
+        // need aggregates
+        if ( group.length > 1 ) { formatted.aggregates = this.aggregate( formatted.data, group ); }
+
+        formattedGroups.push( formatted );
+      }).bind( this ));
 
-        // And return the groups
-        return formattedGroups;
+      // And return the groups
+      return formattedGroups;
+    }
+
+    // If we got this far, just return nothing (there we not groups)
+    return null;
+  };
+
+  /**
+   * Register reducers that summarize each cluster's marker data.  Results
+   * are worked out per group and handed to onBeforeCreate (group.aggregates),
+   * saved with cluster markers (marker.aggregates) and exposed to cluster
+   * infobox content as cluster.aggregates.  Reducers are functions passed
+   * the group's marker data and Markers - the ones in Cluster.aggregators
+   * cover the usual cases:
+   *
+   * var aggregators = Cluster.aggregators;
+   *
+   * cluster.setAggregators({
+   *   total: aggregators.sum( 'price' ),
+   *   categories: aggregators.countBy( 'type' ),
+   *   minRating: aggregators.min( 'rating' )
+   * });
+   *
+   * @param {Object} aggregators Reducer functions by result name, or null to
+   * stop aggregating
+   **/
+  Cluster.prototype.setAggregators = function ( aggregators ) {
+    var valid = {};
+
+    Object.keys( aggregators || {} ).forEach( ( function ( name ) {
+      if ( typeof( aggregators[ name ] ) === 'function' ) {
+        valid[ name ] = aggregators[ name ];
+      } else {
+        this.errors.aggregator( name );
       }
+    }).bind( this ));
+
+    this.config.aggregators = valid;
+
+    // Cluster markers hold their aggregates, so rebuild them
+    this.state.version++;
+    this.recluster();
+  };
+
+  /**
+   * Run the registered aggregators (see setAggregators) over a group.
+   *
+   * @param  {Array}  data    Marker data in the group
+   * @param  {Array}  markers Markers in the group
+   * @return {Object}         Returns aggregator results by name
+   **/
+  Cluster.prototype.aggregate = function ( data, markers ) {
+    var aggregators = this.config.aggregators;
+    var results     = {};
+
+    Object.keys( aggregators ).forEach( function ( name ) {
+      results[ name ] = aggregators[ name ]( data, markers );
+    });
 
-      // If we got this far, just return nothing (there we not groups)
-      return null;
+    return results;
+  };
+
+  /**
+   * Set the clustering strategy for this Cluster.  Built-in strategies are
+   * 'distance' (the default, groups markers within clusterMapping meters of
+   * each other) and 'grid' (buckets markers into gridMapping pixel squares
+   * at the current zoom, a la MarkerClustererPlus - much faster for large
+   * numbers of markers).  Custom strategies can either be passed as a
+   * function or registered by name on Cluster.strategies.  Strategy
+   * functions are called with the Cluster as this and passed the markers to
+   * group, the current zoom and a size override (optional), and return an
+   * array of arrays of Markers.
+   *
+   * @param {Mixed} strategy Strategy name or function
+   **/
+  Cluster.prototype.setStrategy = function ( strategy ) {
+    if ( typeof( strategy ) === 'function' || Cluster.strategies[ strategy ] ) {
+      this.config.strategy = strategy;
+      this.recluster();
     } else {
-      this.errors.group( markers, distance );
+      this.errors.strategy( strategy );
     }
   };
 
   /**
-   * Take master list of markers and recursively group them based on
-   * distance.
+   * Look up the current clustering strategy function.
+   *
+   * @return {Function} Returns strategy function or null if the configured
+   * strategy doesn't exist
+   **/
+  Cluster.prototype.getStrategy = function () {
+    var strategy = this.config.strategy;
+
+    if ( typeof( strategy ) === 'function' ) { return strategy; }
+
+    return Cluster.strategies[ strategy ] || null;
+  };
+
+  /**
+   * Take master list of markers and group them based on distance.
    *
    * @param  {Integer} distance Distance to group markers under
    * @param  {Array}   scratch  Scratch list of markers to work from
@@ -457,16 +1420,14 @@
    * @return {Array}            Returns array of marker groups
    **/
   Cluster.prototype.findMarkerGroups = function ( distance, scratch, grouped ) {
-    var group = this.findMarkerNeighbors( scratch.pop(), distance, scratch );
-
-    // Save the new group
-    grouped.push( group );
+    // Keep going while there are still > 1 members in scratch (need at least
+    // a marker and a neighbor to compare it with).  This used to recurse,
+    // which could run out of stack on big marker lists.
+    while ( scratch.length > 1 ) {
+      grouped.push( this.findMarkerNeighbors( scratch.pop(), distance, scratch ) );
+    }
 
-    // And call this again if there are still > 1 members in scratch
-    // (need at least a marker and a neighbor to compare it with)
-    if ( scratch.length > 1 ) {
-      this.findMarkerGroups( distance, scratch, grouped );
-    } else if ( scratch.length == 1 ) {
+    if ( scratch.length == 1 ) {
       // Guess there's only a group of 1 left.  Aww, forever alone. =(
       grouped.push([ scratch.pop() ]);
     }
@@ -475,6 +1436,51 @@
     return grouped;
   };
 
+  /**
+   * Group markers based on distance using the spatial index, so each marker
+   * is only compared against markers in nearby cells.  All markers must be
+   * in the index.
+   *
+   * @param  {Integer} distance Distance to group markers under
+   * @param  {Array}   markers  Array of Marker objects to group
+   * @return {Array}            Returns array of marker groups
+   **/
+  Cluster.prototype.findIndexedMarkerGroups = function ( distance, markers ) {
+    var grouped = [];
+    var pending = {};
+
+    markers.forEach( function ( marker ) {
+      pending[ marker.getId() ] = true;
+    });
+
+    // Work backwards like findMarkerGroups, so both come up with the same
+    // groups
+    for ( var i = markers.length; i--; ) {
+      var marker = markers[ i ];
+
+      if ( ! pending[ marker.getId() ] ) { continue; }
+
+      var position = marker.state.marker.getPosition();
+      var group    = [ marker ];
+
+      pending[ marker.getId() ] = false;
+
+      this.state.index.query( position, distance ).forEach( function ( candidate ) {
+        if (
+          pending[ candidate.getId() ] &&
+          google.maps.geometry.spherical.computeDistanceBetween( position, candidate.state.marker.getPosition() ) <= distance
+        ) {
+          pending[ candidate.getId() ] = false;
+          group.push( candidate );
+        }
+      });
+
+      grouped.push( group );
+    }
+
+    return grouped;
+  };
+
   /**
    * Take passed single marker and find neighbors within range in scratch list
    * of markers.
@@ -511,25 +1517,140 @@
 
   /**
    * Figure out what grouping distance should be used based on values
-   * contained in the cluster config.
+   * contained in the cluster config.  Pixel distances (see setDistanceUnit)
+   * are converted to meters at the map center.
    *
    * @param  {Integer} zoom Zoom level (if not passed will reference internal
    * map zoom instead)
-   * @return {Integer}      Returns grouping distance from config if matched or
-   * 0 if unable to find match
+   * @return {Integer}      Returns grouping distance in meters from config if
+   * matched or 0 if unable to find match
    **/
   Cluster.prototype.getGroupingDistance = function ( zoom ) {
     var mapZoom       = zoom || this.state.map.state.map.getZoom();
     var zoomMapping   = this.config.clusterMapping;
     var groupDistance = zoomMapping[ mapZoom ] ? zoomMapping[ mapZoom ] : zoomMapping.default;
 
+    if ( groupDistance && this.config.distanceUnit === 'pixels' ) {
+      var center = this.state.map ? this.state.map.state.map.getCenter() : null;
+      var lat    = center ? center.lat() : 0;
+
+      // Ground resolution of a web mercator pixel.  Rounded so small pans
+      // don't keep resizing the spatial index.
+      groupDistance = Math.round( groupDistance * this.config.metersPerPixel * Math.cos( lat * Math.PI / 180 ) / Math.pow( 2, mapZoom ) );
+    }
+
     return groupDistance ? groupDistance : 0;
   };
 
+  /**
+   * Stop grouping markers past a zoom level.  Zoomed in further than this,
+   * every marker is displayed on its own.
+   *
+   * @param {Integer} zoom Last zoom level markers are grouped at, or null to
+   * group at every level
+   **/
+  Cluster.prototype.setMaxZoom = function ( zoom ) {
+    this.config.maxZoom = typeof( zoom ) === 'number' ? zoom : null;
+    this.recluster();
+  };
+
+  /**
+   * Check if the map is zoomed in past maxZoom (see setMaxZoom).
+   *
+   * @param  {Integer} zoom Zoom level (if not passed will reference internal
+   * map zoom instead)
+   * @return {Boolean}      Returns true if markers shouldn't be grouped
+   **/
+  Cluster.prototype.isPastMaxZoom = function ( zoom ) {
+    var mapZoom = typeof( zoom ) === 'number' ? zoom : ( this.state.map ? this.state.map.state.map.getZoom() : null );
+
+    return this.config.maxZoom !== null && mapZoom !== null && mapZoom > this.config.maxZoom;
+  };
+
+  /**
+   * Set the fewest markers a cluster marker can stand for.  Smaller groups
+   * are displayed as individual markers instead.
+   *
+   * @param {Integer} size Minimum cluster size (2 or more)
+   **/
+  Cluster.prototype.setMinClusterSize = function ( size ) {
+    if ( size >= 2 ) {
+      this.config.minClusterSize = Math.floor( size );
+      this.recluster();
+    } else {
+      console.error( 'Cluster.setMinClusterSize must be passed a number of 2 or more' );
+    }
+  };
+
+  /**
+   * Set what the clusterMapping distances are measured in.  Meters group
+   * the same ground distance at every latitude, pixels group the same
+   * distance on screen.
+   *
+   * @param {String} unit Either 'meters' or 'pixels'
+   **/
+  Cluster.prototype.setDistanceUnit = function ( unit ) {
+    if ( unit === 'meters' || unit === 'pixels' ) {
+      this.config.distanceUnit = unit;
+      this.recluster();
+    } else {
+      console.error( 'Invalid cluster distance unit: ' + unit + '.  Use meters or pixels' );
+    }
+  };
+
+  /**
+   * Recluster if the Cluster is on a map.  Called after config changes so
+   * they show up straight away.
+   **/
+  Cluster.prototype.recluster = function () {
+    if ( this.state.map ) { this.clusterMarkers(); }
+  };
+
+  /**
+   * Figure out what grid size (in pixels) should be used by the grid
+   * strategy based on values contained in the cluster config.
+   *
+   * @param  {Integer} zoom Zoom level (if not passed will reference internal
+   * map zoom instead)
+   * @return {Integer}      Returns grid size from config if matched or 0 if
+   * unable to find match
+   **/
+  Cluster.prototype.getGridSize = function ( zoom ) {
+    var mapZoom     = zoom || this.state.map.state.map.getZoom();
+    var gridMapping = this.config.gridMapping;
+    var gridSize    = gridMapping[ mapZoom ] ? gridMapping[ mapZoom ] : gridMapping.default;
+
+    return gridSize ? gridSize : 0;
+  };
+
+  /**
+   * Set the grid mapping for the cluster.  This is the grid size in pixels
+   * for each zoom level, used by the grid strategy.  Follows the same format
+   * as setClusterZoomMapping.  Ex. config:
+   * {
+   *   14: 40,
+   *   15: 30,
+   *   default: 60
+   * }
+   *
+   * @param {Object} mapping Mapping object following format in description
+   **/
+  Cluster.prototype.setGridMapping = function ( mapping ) {
+    if ( mapping && Object.keys( mapping ).length ) {
+      Object.keys( mapping ).forEach( ( function ( level ) {
+        this.config.gridMapping[ level ] = mapping[ level ];
+      }).bind( this ));
+
+      this.recluster();
+    } else {
+      console.error( 'Valid grid mapping object must be passed to Cluster.setGridMapping' );
+    }
+  };
+
   /**
    * Set the zoom mapping for the cluster.  This is the clustering distance in
-   * meters for each zoom level.  Note that lower zoom numbers are zoomed out.
-   * Ex. config:
+   * meters (or pixels, see setDistanceUnit) for each zoom level.  Note that
+   * lower zoom numbers are zoomed out.  Ex. config:
    * {
    *   8: 6000,
    *   9: 4500,
@@ -542,7 +1663,7 @@
    *   default: 10000 // For really zoomed out levels, > 8
    * }
    * Either a full mapping can be passed in or a partial mapping and it will be
-   * rolled into the existing mapping.
+   * rolled into the existing mapping.  Only affects this Cluster.
    *
    * @param {Object} mapping Mapping object following format in description
    **/
@@ -551,15 +1672,102 @@
       Object.keys( mapping ).forEach( ( function ( level ) {
         this.config.clusterMapping[ level ] = mapping[ level ];
       }).bind( this ));
+
+      this.recluster();
     } else {
       console.error( 'Valid zoom mapping object must be passed to Cluster.setClusterZoomMapping' );
     }
   };
 
   /**
-   * Clustering config options.
+   * Clustering config options.  Defaults can be set app-wide with
+   * googleMapsProvider.setDefaults({ cluster: { ... } }).  Each Cluster gets
+   * its own copy.
    **/
   Cluster.prototype.config = {
+    // Valid keys for the options object flavor of the constructor
+    optionKeys: [
+      'markers', 'map', 'icon', 'options', 'label', 'data', 'infobox', 'strategy', 'viewport', 'worker',
+      'clickMode', 'iconStyle', 'aggregators', 'maxZoom', 'minClusterSize', 'distanceUnit'
+    ],
+
+    // Generated cluster icon style, null to use the cluster icon instead
+    // (see setIconStyle)
+    iconStyle: null,
+
+    // Defaults rolled into whatever is passed to setIconStyle.  Buckets are
+    // checked in order, the first one the count is under (max) is used, and
+    // the last one should have no max.  Sizes are in pixels.
+    defaultIconStyle: {
+      buckets: [
+        { max: 10, size: 36, color: '#3b82c4' },
+        { max: 100, size: 44, color: '#e0a526' },
+        { size: 54, color: '#d2493c' }
+      ],
+      textColor: '#ffffff',
+      fontFamily: 'Arial, sans-serif',
+      fontSize: null, // Scales with the bucket size if not set
+      strokeColor: '#ffffff',
+      strokeWidth: 2,
+      opacity: 0.9,
+
+      // Field in marker data to split the donut by (or a function passed
+      // marker data that returns the category), null for no donut
+      category: null,
+      categoryColors: {},
+      palette: [ '#1b9e77', '#d95f02', '#7570b3', '#e7298a', '#66a61e', '#e6ab02', '#a6761d', '#666666' ],
+      uncategorizedColor: '#bbbbbb',
+
+      // Donut thickness as a ratio of the icon radius
+      donutWidth: 0.3
+    },
+
+    // What clicking a cluster marker does (see setClickMode)
+    clickMode: null,
+
+    // Reducers summarizing cluster marker data (see setAggregators)
+    aggregators: {},
+
+    // Spiderfy layout.  Up to circleLimit markers are fanned out in a
+    // circle, more than that in a spiral.  Distances are in pixels.
+    spiderfy: {
+      circleLimit: 9,
+      circleSpacing: 23,
+      spiralSpacing: 26,
+      spiralStart: 11,
+      spiralGrowth: 4,
+      legStyle: {
+        strokeColor: '#444444',
+        strokeOpacity: 0.8,
+        strokeWeight: 1.5
+      }
+    },
+
+    // Group markers in a Web Worker (see setWorker)
+    worker: false,
+
+    // Only cluster markers within the map bounds, padded by viewportPadding
+    // (ratio of the viewport size on each side, see setViewport)
+    viewport: false,
+    viewportPadding: 0.5,
+
+    // Clustering strategy, either the name of one of the Cluster.strategies
+    // or a function (see setStrategy)
+    strategy: 'distance',
+
+    // Last zoom level markers are grouped at, null for all of them (see
+    // setMaxZoom)
+    maxZoom: null,
+
+    // Fewest markers a cluster marker stands for (see setMinClusterSize)
+    minClusterSize: 2,
+
+    // Unit for clusterMapping distances, meters or pixels (see
+    // setDistanceUnit), and the ground resolution of a pixel at zoom 0 on
+    // the equator for converting
+    distanceUnit: 'meters',
+    metersPerPixel: 156543.03392,
+
     clusterMapping: {
       8: 6000,
       9: 4500,
@@ -570,6 +1778,11 @@
       14: 1000,
       15: 800, // Past level 15 markers aren't grouped
       default: 10000 // For really zoomed out levels, > 8
+    },
+
+    // Grid size in pixels per zoom level for the grid strategy
+    gridMapping: {
+      default: 60
     }
   };
 
@@ -586,7 +1799,32 @@
     options: null,
     label: null,
     data: null,
-    infobox: null
+    infobox: null,
+    index: null,
+
+    // Web Worker used for grouping, the job it's working on and a counter
+    // for telling jobs apart
+    worker: null,
+    workerJob: null,
+    workerSequence: 0,
+
+    // Currently spiderfied cluster marker, its markers (with their real
+    // positions) and leg polylines
+    spiderfied: null,
+
+    // Colors handed out to categories that have no categoryColors entry,
+    // kept so a category is the same color in every cluster marker
+    categoryColors: {},
+
+    // Set when the Cluster is hidden (see setVisible)
+    hidden: false,
+
+    // Bumped whenever cluster marker settings change (see groupKey)
+    version: 0,
+
+    // Padded bounds and zoom the last viewport clustering run covered
+    clusteredBounds: null,
+    clusteredZoom: null
   };
 
   /**
@@ -612,6 +1850,25 @@
         console.error( 'Geometry library for Google Maps API not loaded.  Clustering will not be available.  Example include URL: //maps.googleapis.com/maps/api/js?key=key&sensor=false&libraries=geometry' );
       }
     },
+    options: function ( keys, name ) {
+      if ( keys && keys.length ) {
+        console.error( 'Invalid option(s) passed to ' + name + ': ' + keys.join( ', ' ) );
+      }
+    },
+    aggregator: function ( name ) {
+      console.error( 'Cluster aggregator ' + name + ' must be a function' );
+    },
+    worker: function ( error ) {
+      console.error( error && error.message
+        ? 'Cluster worker failed, grouping on the main thread instead: ' + error.message
+        : 'Web Workers not available, grouping cluster markers on the main thread instead' );
+    },
+    clickMode: function ( mode ) {
+      console.error( 'Invalid cluster click mode: ' + mode + '.  Use zoomToBounds, spiderfy or null' );
+    },
+    strategy: function ( strategy ) {
+      console.error( 'Invalid clustering strategy: ' + strategy + '.  Use one of ' + Object.keys( Cluster.strategies ).join( ', ' ) + ' or pass a function' );
+    },
     group: function ( markers, distance ) {
       if ( ! markers || ! markers.length ) {
         console.error( 'Empty marker list passed to Cluster.group' );
@@ -621,3 +1878,217 @@
       }
     }
   };
+
+  /**
+   * Built-in clustering strategies (see Cluster.setStrategy).  Add to this to
+   * register custom strategies by name.
+   **/
+  Cluster.strategies = {
+    /**
+     * Group markers within a set distance of each other.  Neighbors are
+     * looked up in the Cluster's spatial index.
+     *
+     * @param  {Array}   markers  Array of Marker objects
+     * @param  {Integer} zoom     Current map zoom
+     * @param  {Integer} distance Grouping distance in meters (optional,
+     * clusterMapping is used otherwise)
+     * @return {Array}            Returns array of marker groups
+     **/
+    distance: function ( markers, zoom, distance ) {
+      distance = distance || this.getGroupingDistance( zoom );
+
+      if ( ! distance ) {
+        this.errors.group( markers, distance );
+
+        return null;
+      }
+
+      var index = this.state.index;
+
+      // Markers from outside the cluster aren't indexed, so fall back to
+      // comparing everything
+      if ( ! markers.every( index.has, index ) ) {
+        return this.findMarkerGroups( distance, markers, [] );
+      }
+
+      // Cells the size of the grouping distance keep lookups to a few cells
+      if ( index.getCellSize() !== distance ) {
+        index.setCellSize( distance );
+      } else {
+        index.sync();
+      }
+
+      return this.findIndexedMarkerGroups( distance, markers );
+    },
+
+    /**
+     * Bucket markers into square grid cells (in pixels at the current zoom).
+     * Only touches each marker once, so scales to thousands of markers.
+     *
+     * @param  {Array}   markers  Array of Marker objects
+     * @param  {Integer} zoom     Current map zoom
+     * @param  {Integer} size     Grid size in pixels (optional, gridMapping is
+     * used otherwise)
+     * @return {Array}            Returns array of marker groups
+     **/
+    grid: function ( markers, zoom, size ) {
+      size = size || this.getGridSize( zoom );
+
+      if ( ! size ) {
+        this.errors.group( markers, size );
+
+        return null;
+      }
+
+      var cells  = {};
+      var groups = [];
+
+      markers.forEach( function ( marker ) {
+        var position = marker.state.marker.getPosition();
+        var pixel    = latLngToPixel( position.lat(), position.lng(), zoom );
+        var key      = Math.floor( pixel.x / size ) + ':' + Math.floor( pixel.y / size );
+
+        if ( ! cells[ key ] ) {
+          cells[ key ] = [];
+          groups.push( cells[ key ] );
+        }
+
+        cells[ key ].push( marker );
+      });
+
+      return groups;
+    }
+  };
+
+  /**
+   * Reducer factories for Cluster.setAggregators.  Fields can be a key in
+   * the marker data or a function passed the marker data that returns the
+   * value.  Markers without data, or without a numeric value for the field,
+   * are left out of the numeric ones.
+   **/
+  Cluster.aggregators = {
+    /**
+     * Count the markers in the group.
+     *
+     * @return {Function} Returns reducer
+     **/
+    count: function () {
+      return function ( data, markers ) {
+        return markers.length;
+      };
+    },
+
+    /**
+     * Add up a field.
+     *
+     * @param  {Mixed}    field Data key or function
+     * @return {Function}       Returns reducer
+     **/
+    sum: function ( field ) {
+      return function ( data ) {
+        return aggregateValues( data, field ).reduce( function ( total, value ) {
+          return total + value;
+        }, 0 );
+      };
+    },
+
+    /**
+     * Average a field.
+     *
+     * @param  {Mixed}    field Data key or function
+     * @return {Function}       Returns reducer (null if there are no values)
+     **/
+    avg: function ( field ) {
+      return function ( data ) {
+        var values = aggregateValues( data, field );
+
+        return values.length
+          ? values.reduce( function ( total, value ) { return total + value; }, 0 ) / values.length
+          : null;
+      };
+    },
+
+    /**
+     * Find the lowest value of a field.
+     *
+     * @param  {Mixed}    field Data key or function
+     * @return {Function}       Returns reducer (null if there are no values)
+     **/
+    min: function ( field ) {
+      return function ( data ) {
+        var values = aggregateValues( data, field );
+
+        return values.length ? Math.min.apply( Math, values ) : null;
+      };
+    },
+
+    /**
+     * Find the highest value of a field.
+     *
+     * @param  {Mixed}    field Data key or function
+     * @return {Function}       Returns reducer (null if there are no values)
+     **/
+    max: function ( field ) {
+      return function ( data ) {
+        var values = aggregateValues( data, field );
+
+        return values.length ? Math.max.apply( Math, values ) : null;
+      };
+    },
+
+    /**
+     * Count markers per value of a field, i.e. { hotel: 8, hostel: 4 }.
+     * Missing values are skipped.
+     *
+     * @param  {Mixed}    field Data key or function
+     * @return {Function}       Returns reducer
+     **/
+    countBy: function ( field ) {
+      return function ( data ) {
+        var counts = {};
+
+        data.forEach( function ( item ) {
+          var value = aggregateField( item, field );
+
+          if ( value !== null && value !== undefined ) {
+            counts[ value ] = ( counts[ value ] || 0 ) + 1;
+          }
+        });
+
+        return counts;
+      };
+    }
+  };
+
+  /**
+   * Pull a field out of a piece of marker data (see Cluster.aggregators).
+   *
+   * @param  {Mixed} item  Marker data
+   * @param  {Mixed} field Data key or function
+   * @return {Mixed}       Returns field value
+   **/
+  function aggregateField ( item, field ) {
+    if ( typeof( field ) === 'function' ) { return field( item ); }
+
+    return item ? item[ field ] : undefined;
+  }
+
+  /**
+   * Collect the numeric values of a field across marker data (see
+   * Cluster.aggregators).
+   *
+   * @param  {Array} data  Marker data
+   * @param  {Mixed} field Data key or function
+   * @return {Array}       Returns array of numbers
+   **/
+  function aggregateValues ( data, field ) {
+    var values = [];
+
+    data.forEach( function ( item ) {
+      var value = aggregateField( item, field );
+
+      if ( typeof( value ) === 'number' && ! isNaN( value ) ) { values.push( value ); }
+    });
+
+    return values;
+  }
@@ -0,0 +1,77 @@
+  /////////////////////////////////////////////////////////////////////////////
+  // Cluster icons ////////////////////////////////////////////////////////////
+  /////////////////////////////////////////////////////////////////////////////
+
+
+  /**
+   * Draw a cluster icon as an SVG data URL: a circle with the member count in
+   * the middle, optionally ringed by a donut chart of categories.  Nothing is
+   * loaded from anywhere.
+   *
+   * @param  {Integer} count  Number of markers in the cluster
+   * @param  {Object}  bucket Size bucket ({ size, color }, see
+   * Cluster.setIconStyle)
+   * @param  {Array}   slices Donut slices ({ count, color }), or empty for a
+   * plain circle
+   * @param  {Object}  style  Icon style (see Cluster.setIconStyle)
+   * @return {String}         Returns SVG data URL
+   **/
+  function buildClusterIcon ( count, bucket, slices, style ) {
+    var size   = bucket.size;
+    var center = size / 2;
+    var radius = center - style.strokeWidth / 2;
+    var svg    = [];
+
+    svg.push( '<svg xmlns="http://www.w3.org/2000/svg" width="' + size + '" height="' + size + '" viewBox="0 0 ' + size + ' ' + size + '">' );
+
+    // Base circle
+    svg.push( '<circle cx="' + center + '" cy="' + center + '" r="' + radius + '" fill="' + bucket.color + '" fill-opacity="' + style.opacity + '" stroke="' + style.strokeColor + '" stroke-width="' + style.strokeWidth + '"/>' );
+
+    // Donut slices are dashed strokes around a circle, each one dashed to
+    // its share of the circumference and offset to start where the last
+    // one ended.  Rotated so the first slice starts at 12 o'clock.
+    if ( slices.length ) {
+      var ringWidth     = radius * style.donutWidth;
+      var ringRadius    = radius - ringWidth / 2;
+      var circumference = 2 * Math.PI * ringRadius;
+      var offset        = 0;
+
+      slices.forEach( function ( slice ) {
+        var length = circumference * slice.count / count;
+
+        svg.push(
+          '<circle cx="' + center + '" cy="' + center + '" r="' + ringRadius + '" fill="none"' +
+          ' stroke="' + slice.color + '" stroke-width="' + ringWidth + '"' +
+          ' stroke-dasharray="' + length + ' ' + ( circumference - length ) + '"' +
+          ' stroke-dashoffset="' + ( -offset ) + '"' +
+          ' transform="rotate(-90 ' + center + ' ' + center + ')"/>'
+        );
+
+        offset += length;
+      });
+    }
+
+    // And the count
+    svg.push(
+      '<text x="' + center + '" y="' + center + '" text-anchor="middle" dominant-baseline="central"' +
+      ' fill="' + style.textColor + '" font-family="' + style.fontFamily + '" font-weight="bold"' +
+      ' font-size="' + ( style.fontSize || Math.round( size * 0.36 ) ) + '">' + formatClusterCount( count ) + '</text>'
+    );
+
+    svg.push( '</svg>' );
+
+    return 'data:image/svg+xml;charset=UTF-8,' + encodeURIComponent( svg.join( '' ) );
+  }
+
+  /**
+   * Shorten big counts so they fit in the icon (1200 becomes 1.2k).
+   *
+   * @param  {Integer} count Number to format
+   * @return {String}        Returns formatted count
+   **/
+  function formatClusterCount ( count ) {
+    if ( count >= 1000000 ) { return Math.round( count / 100000 ) / 10 + 'm'; }
+    if ( count >= 1000 ) { return Math.round( count / 100 ) / 10 + 'k'; }
+
+    return String( count );
+  }
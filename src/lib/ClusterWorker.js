@@ -0,0 +1,159 @@
+  /////////////////////////////////////////////////////////////////////////////
+  // Cluster worker ///////////////////////////////////////////////////////////
+  /////////////////////////////////////////////////////////////////////////////
+
+
+  /**
+   * Create a Web Worker for grouping cluster markers off the main thread.
+   * The worker is built from a Blob of the functions below, so no separate
+   * script file is needed.  Post it { id, positions, strategy, size, zoom }
+   * (positions being a flat Float64Array of lat, lng pairs) and it posts
+   * back { id, groups }, groups being arrays of position indices.
+   *
+   * @return {Object} Returns Worker object or null if Web Workers (or Blob
+   * URLs) aren't supported
+   **/
+  function createClusterWorker () {
+    if (
+      typeof( Worker ) === 'undefined' ||
+      typeof( Blob ) === 'undefined' ||
+      typeof( URL ) === 'undefined' ||
+      ! URL.createObjectURL
+    ) {
+      return null;
+    }
+
+    var source = [
+      haversineDistance.toString(),
+      latLngToPixel.toString(),
+      groupPositions.toString(),
+      '(' + clusterWorkerMain.toString() + ')();'
+    ].join( '\n' );
+
+    try {
+      var url    = URL.createObjectURL( new Blob( [ source ], { type: 'application/javascript' } ) );
+      var worker = new Worker( url );
+
+      // The worker has its own copy now
+      URL.revokeObjectURL( url );
+
+      return worker;
+    } catch ( e ) {
+      // i.e. blocked by a content security policy
+      return null;
+    }
+  }
+
+  /**
+   * Worker entry point.  Runs inside the worker, not here.
+   **/
+  function clusterWorkerMain () {
+    self.onmessage = function ( event ) {
+      var job = event.data;
+
+      self.postMessage({
+        id: job.id,
+        groups: groupPositions( job.positions, job.strategy, job.size, job.zoom )
+      });
+    };
+  }
+
+  /**
+   * Group positions the same way the built-in Cluster strategies group
+   * markers (see Cluster.strategies), without any help from the Google Maps
+   * API so it can run in a worker.
+   *
+   * @param  {Array}   positions Flat array of lat, lng pairs
+   * @param  {String}  strategy  Strategy name (distance or grid)
+   * @param  {Integer} size      Grouping distance in meters (distance) or
+   * grid size in pixels (grid)
+   * @param  {Integer} zoom      Current map zoom
+   * @return {Array}             Returns array of groups (arrays of position
+   * indices)
+   **/
+  function groupPositions ( positions, strategy, size, zoom ) {
+    var count  = positions.length / 2;
+    var groups = [];
+    var cells  = {};
+    var key, i;
+
+    if ( strategy === 'grid' ) {
+      for ( i = 0; i < count; i++ ) {
+        var pixel = latLngToPixel( positions[ i * 2 ], positions[ i * 2 + 1 ], zoom );
+
+        key = Math.floor( pixel.x / size ) + ':' + Math.floor( pixel.y / size );
+
+        if ( ! cells[ key ] ) {
+          cells[ key ] = [];
+          groups.push( cells[ key ] );
+        }
+
+        cells[ key ].push( i );
+      }
+
+      return groups;
+    }
+
+    // Distance grouping.  Bucket positions into cells the size of the
+    // grouping distance so each one is only compared with its neighbors.
+    var cellDegrees = size / 111320;
+    var lngCells    = Math.ceil( 360 / cellDegrees );
+    var pending     = [];
+
+    var cellOf = function ( index ) {
+      return [
+        Math.floor( ( positions[ index * 2 ] + 90 ) / cellDegrees ),
+        Math.floor( ( positions[ index * 2 + 1 ] + 180 ) / cellDegrees ) % lngCells
+      ];
+    };
+
+    for ( i = 0; i < count; i++ ) {
+      var cell = cellOf( i );
+
+      key = cell[ 0 ] * lngCells + cell[ 1 ];
+
+      if ( ! cells[ key ] ) { cells[ key ] = []; }
+
+      cells[ key ].push( i );
+      pending[ i ] = true;
+    }
+
+    // Work backwards like Cluster.findMarkerGroups, so both come up with the
+    // same groups
+    for ( i = count; i--; ) {
+      if ( ! pending[ i ] ) { continue; }
+
+      var lat     = positions[ i * 2 ];
+      var lng     = positions[ i * 2 + 1 ];
+      var seed    = cellOf( i );
+      var group   = [ i ];
+      var cos     = Math.max( Math.cos( lat * Math.PI / 180 ), 0.01 );
+      var columns = Math.min( Math.ceil( 1 / cos ), Math.floor( lngCells / 2 ) );
+
+      pending[ i ] = false;
+
+      for ( var r = seed[ 0 ] - 1; r <= seed[ 0 ] + 1; r++ ) {
+        for ( var c = seed[ 1 ] - columns; c <= seed[ 1 ] + columns; c++ ) {
+          var candidates = cells[ r * lngCells + ( c < 0 ? c + lngCells : ( c >= lngCells ? c - lngCells : c ) ) ];
+
+          if ( ! candidates ) { continue; }
+
+          for ( var j = 0; j < candidates.length; j++ ) {
+            var candidate = candidates[ j ];
+
+            if (
+              pending[ candidate ] &&
+              haversineDistance( lat, lng, positions[ candidate * 2 ], positions[ candidate * 2 + 1 ] ) <= size
+            ) {
+              pending[ candidate ] = false;
+              group.push( candidate );
+            }
+          }
+        }
+      }
+
+      groups.push( group );
+    }
+
+    return groups;
+  }
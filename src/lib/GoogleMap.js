@@ -20,13 +20,18 @@
       // Make sure this has a unique copy of the state object
       this.state = JSON.parse(JSON.stringify( this.state ));
 
+      // And the config object, so defaults aren't shared between maps
+      this.config = deepMerge( {}, this.config );
+
       // Build default options
-      var mapOptions = JSON.parse(JSON.stringify( this.config.defaultMapOptions ));
+      var mapOptions = deepMerge( {}, this.config.defaultMapOptions );
 
-      mapOptions.center = new google.maps.LatLng(
-        mapOptions.center.lat,
-        mapOptions.center.lng
-      );
+      if ( isPlainObject( mapOptions.center ) ) {
+        mapOptions.center = new google.maps.LatLng(
+          mapOptions.center.lat,
+          mapOptions.center.lng
+        );
+      }
 
       // Then roll in config options if they were passed
       if ( options && options instanceof Object ) {
@@ -99,11 +104,10 @@
    **/
   GoogleMap.prototype.clearMarkers = function ( event, callback ) {
     if ( this.state.markers && this.state.markers.length ) {
-      this.state.markers.forEach( function ( marker ) {
+      // Iterate a copy since removing each marker also updates the
+      // internal list
+      this.state.markers.slice().forEach( function ( marker ) {
         marker.remove();
-
-        // Make sure the marker itself is dead
-        delete marker;
       });
 
       // Clear the markers array before leaving
@@ -141,19 +145,16 @@
    **/
   GoogleMap.prototype.removeMarker = function ( marker ) {
     if ( marker ) {
-      for ( var i = this.state.markers.length; i > 0; i-- ) {
-        if ( this.state.markers[ i ] === marker ) {
-          // Remove from the map
-          marker.remove();
+      var index = this.state.markers.indexOf( marker );
 
-          // Kill the object
-          delete marker;
+      if ( index > -1 ) {
+        // Update the internal array
+        this.state.markers.splice( index, 1 );
 
-          // And update the internal array
-          this.state.markers.splice( i, 1 );
+        // And remove from the map
+        marker.remove();
 
-          return true;
-        }
+        return true;
       }
     } else {
       console.error( 'Invalid Marker object passed to GoogleMap.removeMarker' );
@@ -207,8 +208,11 @@
    * @param  {Integer} strokeWeight  Width of outline, in pixels (optional)
    * @param  {String}  fillColor     Color of polygon fill (optional)
    * @param  {Float}   fillOpacity   Opacity of fill (optional)
-   * @param  {Object}  options       Object of additional properties (optional)
-   * @return {Object}                Returns the created map overlay object
+   * @param  {Object}  options       Object of additional properties (optional).
+   * Can include id and tags (array of strings) for managing the overlay later
+   * (see getOverlay, hideOverlays, etc.)
+   * @return {Object}                Returns the created map overlay object, or
+   * null if it was rejected (see trackOverlay)
    **/
   GoogleMap.prototype.addPolygonOverlay = function ( points, strokeColor, strokeOpacity, strokeWeight, fillColor, fillOpacity, options ) {
     if ( points && points.length ) {
@@ -229,30 +233,175 @@
         fillOpacity: fillOpacity
       };
 
-      // Roll in other options
+      // Roll in other options (id/tags are ours, not the polygon's)
       if ( options && options instanceof Object ) {
         Object.keys( options ).forEach( function ( key ) {
-          polygonOptions[ key ] = options[ key ];
+          if ( key !== 'id' && key !== 'tags' ) { polygonOptions[ key ] = options[ key ]; }
         });
       }
 
       // And build the overlay
       var overlay = new google.maps.Polygon( polygonOptions );
 
-      // Assign the overlay to the map
-      overlay.setMap( this.state.map );
+      // Assign the overlay to the map and save internal reference to it
+      return this.trackOverlay( overlay, options ) ? overlay : null;
+    } else {
+      console.error( 'Array of lat/lng objects must be passed to GoogleMap.addPolygonOverlay' );
+    }
 
-      // Save internal reference to the overlay
-      this.state.overlays.push( overlay );
+    return null;
+  };
 
-      return overlay;
+  /**
+   * Add a polyline (route, track, etc.) to the map based on passed points.
+   * Style can contain any of the following, anything else is passed straight
+   * into the Polyline constructor:
+   * {
+   *   strokeColor: '#ff0000',
+   *   strokeOpacity: 1,
+   *   strokeWeight: 3,
+   *   geodesic: true, // Follow the curvature of the earth
+   *   dashed: true, // Or { length: 2, repeat: '20px' } (length in multiples
+   *                 // of strokeWeight)
+   *   arrows: true, // Or { repeat: '100px', offset: '100%', scale: 3 }
+   *   icons: [], // Additional google IconSequence objects
+   *   id: 'route', // For managing the overlay later (see getOverlay, etc.)
+   *   tags: [ 'routes' ]
+   * }
+   *
+   * @param  {Array}  points Array of lat/lng objects
+   * @param  {Object} style  Line style (optional, see above)
+   * @return {Object}        Returns the created map overlay object, or
+   * null if it was rejected (see trackOverlay)
+   **/
+  GoogleMap.prototype.addPolyline = function ( points, style ) {
+    if ( points && points instanceof Array ) {
+      var lineStyle = deepMerge( deepMerge( {}, this.config.defaultPolylineStyle ), style );
+      var icons     = lineStyle.icons ? lineStyle.icons.slice() : [];
+
+      // Dashes are drawn as a repeating icon over an invisible line
+      if ( lineStyle.dashed ) {
+        var dash = isPlainObject( lineStyle.dashed ) ? lineStyle.dashed : {};
+
+        icons.push({
+          icon: {
+            path: 'M 0,-1 0,' + ( dash.length || 1 ),
+            strokeOpacity: lineStyle.strokeOpacity,
+            strokeColor: lineStyle.strokeColor,
+            scale: lineStyle.strokeWeight
+          },
+          offset: '0',
+          repeat: dash.repeat || ( lineStyle.strokeWeight * 4 ) + 'px'
+        });
+
+        lineStyle.strokeOpacity = 0;
+      }
+
+      // Arrows default to a single arrow at the end of the line
+      if ( lineStyle.arrows ) {
+        var arrow = isPlainObject( lineStyle.arrows ) ? lineStyle.arrows : {};
+
+        icons.push({
+          icon: {
+            path: google.maps.SymbolPath.FORWARD_CLOSED_ARROW,
+            scale: arrow.scale || lineStyle.strokeWeight,
+            strokeColor: lineStyle.strokeColor,
+            strokeOpacity: 1,
+            fillColor: lineStyle.strokeColor,
+            fillOpacity: 1
+          },
+          offset: arrow.offset || '100%',
+          repeat: arrow.repeat || null
+        });
+      }
+
+      // Strip out our own style keys, everything else goes to the Polyline
+      delete lineStyle.dashed;
+      delete lineStyle.arrows;
+      delete lineStyle.id;
+      delete lineStyle.tags;
+
+      lineStyle.icons = icons;
+      lineStyle.path  = this.buildPath( points );
+
+      // And build the overlay
+      var overlay = new google.maps.Polyline( lineStyle );
+
+      // Assign the overlay to the map and save internal reference to it
+      return this.trackOverlay( overlay, style ) ? overlay : null;
     } else {
-      console.error( 'Array of lat/lng objects must be passed to GoogleMap.addPolygonOverlay' );
+      console.error( 'Array of lat/lng objects must be passed to GoogleMap.addPolyline' );
     }
 
     return null;
   };
 
+  /**
+   * Replace all points on a polyline (or polygon).
+   *
+   * @param {Object} overlay Polyline created with addPolyline
+   * @param {Array}  points  Array of lat/lng objects
+   **/
+  GoogleMap.prototype.updatePath = function ( overlay, points ) {
+    if ( overlay && points && points instanceof Array ) {
+      overlay.setPath( this.buildPath( points ) );
+    } else {
+      console.error( 'Valid overlay and array of lat/lng objects must be passed to GoogleMap.updatePath' );
+    }
+  };
+
+  /**
+   * Add a point to the end of a polyline.  Handy for live tracks - pass
+   * maxPoints to drop the oldest points as new ones come in.
+   *
+   * @param {Object}  overlay   Polyline created with addPolyline
+   * @param {Object}  point     Lat/lng object
+   * @param {Integer} maxPoints Maximum number of points to keep (optional)
+   **/
+  GoogleMap.prototype.appendPoint = function ( overlay, point, maxPoints ) {
+    if ( overlay && point ) {
+      var path   = overlay.getPath();
+      var latLng = this.buildPath( [ point ] )[ 0 ];
+
+      // Bad points are reported by buildPath and left off the line
+      if ( ! latLng ) { return; }
+
+      path.push( latLng );
+
+      if ( maxPoints ) {
+        while ( path.getLength() > maxPoints ) { path.removeAt( 0 ); }
+      }
+    } else {
+      console.error( 'Valid overlay and lat/lng object must be passed to GoogleMap.appendPoint' );
+    }
+  };
+
+  /**
+   * Build array of google LatLng objects from lat/lng objects.  Points that
+   * can't be read are skipped (and reported).
+   *
+   * @param  {Array} points Array of lat/lng objects (or LatLngs/[ lat, lng ])
+   * @return {Array}        Returns array of LatLng objects
+   **/
+  GoogleMap.prototype.buildPath = function ( points ) {
+    var path    = [];
+    var invalid = [];
+
+    points.forEach( function ( point, index ) {
+      var latLng = toLatLngLiteral( point );
+
+      if ( latLng && isCoordinate( latLng.lat ) && isCoordinate( latLng.lng ) ) {
+        path.push( new google.maps.LatLng( latLng.lat, latLng.lng ) );
+      } else {
+        invalid.push( index );
+      }
+    });
+
+    if ( invalid.length ) { this.errors.path( invalid ); }
+
+    return path;
+  };
+
   /**
    * Add ground overlay image.  This is centered by lat/lng and positioned
    * based on desired width and height of coverage in meters (i.e. a geometric
@@ -264,9 +413,13 @@
    * @param  {Int}    width     Desired width of overlay (in meters)
    * @param  {Int}    height    Desired height of overlay (in meters)
    * @param  {Float}  opacity   Overlay opacity (optional)
-   * @return {Object}           Returns the created map overlay object
+   * @param  {Object} options   Object of additional properties (optional).
+   * Can include id and tags (array of strings) for managing the overlay later
+   * (see getOverlay, hideOverlays, etc.)
+   * @return {Object}           Returns the created map overlay object, or
+   * null if it was rejected (see trackOverlay)
    **/
-  GoogleMap.prototype.addGroundOverlay = function ( imageUrl, centerLat, centerLng, width, height, opacity ) {
+  GoogleMap.prototype.addGroundOverlay = function ( imageUrl, centerLat, centerLng, width, height, opacity, options ) {
     if ( google.maps.geometry && imageUrl && centerLat && centerLng && width && height ) {
       // Calculate correct bounds for image placement
       var bounds = getRectangleBounds( centerLat, centerLng, width, height );
@@ -277,23 +430,641 @@
         opacity: opacity
       };
 
+      if ( options && options instanceof Object ) {
+        Object.keys( options ).forEach( function ( key ) {
+          if ( key !== 'id' && key !== 'tags' ) { overlayOptions[ key ] = options[ key ]; }
+        });
+      }
+
       // Then build the overlay
       var overlay = new google.maps.GroundOverlay( imageUrl, bounds, overlayOptions );
 
-      // Assign the overlay to the map
-      overlay.setMap( this.state.map );
+      // Assign the overlay to the map and save internal reference to it
+      return this.trackOverlay( overlay, options ) ? overlay : null;
+    } else {
+      this.errors.groundOverlay( imageUrl, centerLat, centerLng, width, height );
+    }
 
-      // Save internal reference to the overlay
-      this.state.overlays.push( overlay );
+    return null;
+  };
 
-      return overlay;
+  /**
+   * Add a circle overlay (i.e. a "within X km" ring).  Style can contain any
+   * Circle option (strokeColor, fillColor, editable, draggable, etc.) plus:
+   * {
+   *   onRadiusChanged: function ( radius, center ) {}, // Radius in meters
+   *   onCenterChanged: function ( center ) {}, // Center as lat/lng object
+   *   id: 'ring', // For managing the overlay later (see getOverlay, etc.)
+   *   tags: [ 'rings' ]
+   * }
+   * Callbacks fire when the circle is edited or dragged and are run inside
+   * the map's $scope.
+   *
+   * @param  {Object} center       Lat/lng object (or LatLng/[ lat, lng ])
+   * @param  {Float}  radiusMeters Circle radius, in meters
+   * @param  {Object} style        Circle style (optional, see above)
+   * @return {Object}              Returns the created map overlay object, or
+   * null if it was rejected (see trackOverlay)
+   **/
+  GoogleMap.prototype.addCircleOverlay = function ( center, radiusMeters, style ) {
+    var latLng = toLatLngLiteral( center );
+
+    if ( latLng && radiusMeters > 0 ) {
+      var circleStyle = deepMerge( deepMerge( {}, this.config.defaultShapeStyle ), style );
+
+      circleStyle.center = new google.maps.LatLng( latLng.lat, latLng.lng );
+      circleStyle.radius = radiusMeters;
+
+      var overlay = new google.maps.Circle( this.shapeOptions( circleStyle ) );
+
+      this.bindShapeEvent( overlay, 'radius_changed', circleStyle.onRadiusChanged, function () {
+        return [ overlay.getRadius(), toLatLngLiteral( overlay.getCenter() ) ];
+      });
+      this.bindShapeEvent( overlay, 'center_changed', circleStyle.onCenterChanged, function () {
+        return [ toLatLngLiteral( overlay.getCenter() ) ];
+      });
+
+      // Assign the overlay to the map and save internal reference to it
+      return this.trackOverlay( overlay, style ) ? overlay : null;
     } else {
-      this.errors.groundOverlay( imageUrl, centerLat, centerLng, width, height );
+      console.error( 'Valid center lat/lng object and radius must be passed to GoogleMap.addCircleOverlay' );
+    }
+
+    return null;
+  };
+
+  /**
+   * Add a rectangle overlay (i.e. a selection area).  Bounds can either be
+   * given by edges ({ north, east, south, west } or a LatLngBounds) or as a
+   * center point with width and height of coverage in meters:
+   * { center: { lat: 39.5, lng: -119.8 }, widthMeters: 500, heightMeters: 200 }
+   * The latter requires the Geometry library.  Style can contain any
+   * Rectangle option (strokeColor, fillColor, editable, draggable, etc.)
+   * plus:
+   * {
+   *   onBoundsChanged: function ( bounds ) {}, // { north, east, south, west }
+   *   id: 'selection', // For managing the overlay later (see getOverlay, etc.)
+   *   tags: [ 'selections' ]
+   * }
+   * The callback fires when the rectangle is edited or dragged and is run
+   * inside the map's $scope.
+   *
+   * @param  {Object} bounds Rectangle bounds (see above)
+   * @param  {Object} style  Rectangle style (optional, see above)
+   * @return {Object}        Returns the created map overlay object, or
+   * null if it was rejected (see trackOverlay)
+   **/
+  GoogleMap.prototype.addRectangleOverlay = function ( bounds, style ) {
+    var latLngBounds = null;
+
+    if ( bounds instanceof google.maps.LatLngBounds ) {
+      latLngBounds = bounds;
+    } else if ( bounds && bounds.center && bounds.widthMeters && bounds.heightMeters ) {
+      var center = toLatLngLiteral( bounds.center );
+
+      if ( center && google.maps.geometry ) {
+        latLngBounds = getRectangleBounds( center.lat, center.lng, bounds.widthMeters, bounds.heightMeters );
+      }
+    } else if ( bounds && [ 'north', 'east', 'south', 'west' ].every( function ( edge ) { return typeof( bounds[ edge ] ) === 'number'; } ) ) {
+      latLngBounds = new google.maps.LatLngBounds(
+        new google.maps.LatLng( bounds.south, bounds.west ),
+        new google.maps.LatLng( bounds.north, bounds.east )
+      );
+    }
+
+    if ( latLngBounds ) {
+      var rectangleStyle = deepMerge( deepMerge( {}, this.config.defaultShapeStyle ), style );
+
+      rectangleStyle.bounds = latLngBounds;
+
+      var overlay = new google.maps.Rectangle( this.shapeOptions( rectangleStyle ) );
+
+      this.bindShapeEvent( overlay, 'bounds_changed', rectangleStyle.onBoundsChanged, function () {
+        var edges = overlay.getBounds();
+
+        return [{
+          north: edges.getNorthEast().lat(),
+          east: edges.getNorthEast().lng(),
+          south: edges.getSouthWest().lat(),
+          west: edges.getSouthWest().lng()
+        }];
+      });
+
+      // Assign the overlay to the map and save internal reference to it
+      return this.trackOverlay( overlay, style ) ? overlay : null;
+    } else {
+      console.error( 'Valid bounds (edges, LatLngBounds or center with widthMeters/heightMeters) must be passed to GoogleMap.addRectangleOverlay.  Center based bounds require the Geometry library' );
+    }
+
+    return null;
+  };
+
+  /**
+   * Strip our own keys (id, tags, callbacks) out of a shape style so the rest
+   * can be passed to the google overlay constructor.
+   *
+   * @param  {Object} style Shape style
+   * @return {Object}       Returns overlay options
+   **/
+  GoogleMap.prototype.shapeOptions = function ( style ) {
+    var options = {};
+
+    Object.keys( style ).forEach( function ( key ) {
+      if ( key !== 'id' && key !== 'tags' && ! /^on[A-Z]/.test( key ) ) {
+        options[ key ] = style[ key ];
+      }
+    });
+
+    return options;
+  };
+
+  /**
+   * Pass an overlay change event on to a callback inside the map's $scope.
+   *
+   * @param {Object}   overlay  Google overlay object
+   * @param {String}   event    Overlay event name (i.e. radius_changed)
+   * @param {Function} callback Callback (nothing is bound if not a function)
+   * @param {Function} getArgs  Returns array of arguments for the callback
+   **/
+  GoogleMap.prototype.bindShapeEvent = function ( overlay, event, callback, getArgs ) {
+    if ( typeof( callback ) !== 'function' ) { return; }
+
+    var $scope = this.state.$scope;
+
+    google.maps.event.addListener( overlay, event, function () {
+      var args = getArgs();
+
+      if ( $scope ) {
+        $scope.$applyAsync( function () {
+          callback.apply( overlay, args );
+        });
+      } else {
+        callback.apply( overlay, args );
+      }
+    });
+  };
+
+  /**
+   * Put an overlay on the map and add it to the internal list of overlays.
+   * Used by the add*Overlay functions, but can also be used to bring in
+   * overlays built elsewhere.  The id and tags are saved on the overlay
+   * itself as overlayId/overlayTags.
+   *
+   * Ids must be unique.  An overlay whose id is already used by another
+   * overlay on this map is rejected: it's left off the map and untracked, and
+   * the existing overlay stays as it was.
+   *
+   * @param  {Object}  overlay Google overlay object (Polygon, Polyline, etc.)
+   * @param  {Object}  options Object containing id and/or tags (array of
+   * strings, optional)
+   * @return {Boolean}         False if the overlay was rejected
+   **/
+  GoogleMap.prototype.trackOverlay = function ( overlay, options ) {
+    options = options || {};
+
+    if ( options.id ) {
+      var existing = this.getOverlay( options.id );
+
+      if ( existing && existing !== overlay ) {
+        console.error( 'Overlay id "' + options.id + '" is already in use on this map' );
+        return false;
+      }
+
+      overlay.overlayId = options.id;
+    }
+
+    overlay.overlayTags = options.tags ? [].concat( options.tags ) : [];
+
+    // Assign the overlay to the map
+    overlay.setMap( this.state.map );
+
+    // Save internal reference to the overlay
+    if ( this.state.overlays.indexOf( overlay ) === -1 ) {
+      this.state.overlays.push( overlay );
+    }
+
+    return true;
+  };
+
+  /**
+   * Find an overlay by id.
+   *
+   * @param  {Mixed}  id Overlay id (string or number)
+   * @return {Object}    Returns the overlay or null if there isn't one
+   **/
+  GoogleMap.prototype.getOverlay = function ( id ) {
+    for ( var i = 0; i < this.state.overlays.length; i++ ) {
+      if ( this.state.overlays[ i ].overlayId === id ) {
+        return this.state.overlays[ i ];
+      }
     }
 
     return null;
   };
 
+  /**
+   * Get overlays matching a filter.  The filter can be a tag, an array of tags
+   * (overlays with any of the tags match) or a function passed each overlay
+   * that returns true for matches.  Returns all overlays if no filter is
+   * passed.
+   *
+   * @param  {Mixed} filter Tag, array of tags or filter function (optional)
+   * @return {Array}        Returns array of matching overlays
+   **/
+  GoogleMap.prototype.getOverlays = function ( filter ) {
+    if ( ! filter ) { return this.state.overlays.slice(); }
+
+    if ( typeof( filter ) !== 'function' ) {
+      var tags = [].concat( filter );
+
+      filter = function ( overlay ) {
+        return tags.some( function ( tag ) {
+          return overlay.overlayTags && overlay.overlayTags.indexOf( tag ) > -1;
+        });
+      };
+    }
+
+    return this.state.overlays.filter( filter );
+  };
+
+  /**
+   * Remove an overlay from the map as well as the internal list of overlays.
+   * Any listeners bound to the overlay (see bindShapeEvent) are removed too.
+   *
+   * @param  {Mixed}   overlay Overlay object or overlay id
+   * @return {Boolean}         Returns true/false on successful overlay removal
+   **/
+  GoogleMap.prototype.removeOverlay = function ( overlay ) {
+    // Anything that isn't an overlay is an id (GeoJSON ids can be numbers)
+    if ( typeof( overlay ) !== 'object' ) { overlay = this.getOverlay( overlay ); }
+
+    var index = this.state.overlays.indexOf( overlay );
+
+    if ( overlay && index > -1 ) {
+      overlay.setMap( null );
+      google.maps.event.clearInstanceListeners( overlay );
+
+      this.state.overlays.splice( index, 1 );
+
+      return true;
+    }
+
+    console.error( 'Invalid overlay passed to GoogleMap.removeOverlay' );
+
+    return false;
+  };
+
+  /**
+   * Remove overlays matching a filter (see getOverlays for filter formats).
+   *
+   * @param {Mixed} filter Tag, array of tags or filter function
+   **/
+  GoogleMap.prototype.removeOverlays = function ( filter ) {
+    if ( filter ) {
+      this.getOverlays( filter ).forEach( ( function ( overlay ) {
+        this.removeOverlay( overlay );
+      }).bind( this ));
+    } else {
+      console.error( 'Filter must be passed to GoogleMap.removeOverlays.  Use clearOverlays to remove everything' );
+    }
+  };
+
+  /**
+   * Remove all overlays from the map, along with their listeners.
+   **/
+  GoogleMap.prototype.clearOverlays = function () {
+    this.state.overlays.forEach( function ( overlay ) {
+      overlay.setMap( null );
+      google.maps.event.clearInstanceListeners( overlay );
+    });
+
+    this.state.overlays = [];
+  };
+
+  /**
+   * Show hidden overlays again, either all of them or those matching a filter
+   * (see getOverlays for filter formats).
+   *
+   * @param {Mixed} filter Tag, array of tags or filter function (optional)
+   **/
+  GoogleMap.prototype.showOverlays = function ( filter ) {
+    this.getOverlays( filter ).forEach( ( function ( overlay ) {
+      overlay.setMap( this.state.map );
+    }).bind( this ));
+  };
+
+  /**
+   * Hide overlays without removing them, either all of them or those matching
+   * a filter (see getOverlays for filter formats).
+   *
+   * @param {Mixed} filter Tag, array of tags or filter function (optional)
+   **/
+  GoogleMap.prototype.hideOverlays = function ( filter ) {
+    this.getOverlays( filter ).forEach( function ( overlay ) {
+      overlay.setMap( null );
+    });
+  };
+
+  /**
+   * Load GeoJSON (FeatureCollection, Feature or bare geometry) onto the map.
+   * Points become Markers (with the feature properties as Marker data),
+   * polygons and lines become overlays.  Multi* geometries and geometry
+   * collections produce one Marker/overlay per part.  Options:
+   * {
+   *   // Return Marker options (see Marker) for a point, or false to skip it.
+   *   // position, map and data are filled in if left out.
+   *   pointToMarker: function ( feature, position ) {
+   *     return { icon: 'a.png' };
+   *   },
+   *   // Return style for a polygon/line (see addPolygonOverlay/addPolyline,
+   *   // can include id and tags).  Feature properties are saved on the
+   *   // overlay as overlayData.
+   *   styleFeature: function ( feature ) { return { strokeColor: '#f00' }; },
+   *   // Cluster object to hand the Markers to instead of adding them to the
+   *   // map directly
+   *   cluster: cluster
+   * }
+   *
+   * @param  {Object} geoJSON GeoJSON object
+   * @param  {Object} options Loading options (optional, see above)
+   * @return {Object}         Returns object containing the created markers
+   * and overlays
+   **/
+  GoogleMap.prototype.loadGeoJSON = function ( geoJSON, options ) {
+    var loaded = { markers: [], overlays: [] };
+
+    options = options || {};
+
+    if ( ! geoJSON || ! geoJSON.type ) {
+      console.error( 'Valid GeoJSON object must be passed to GoogleMap.loadGeoJSON' );
+
+      return loaded;
+    }
+
+    // Normalize everything to a list of features
+    var features = [];
+
+    if ( geoJSON.type === 'FeatureCollection' ) {
+      features = geoJSON.features || [];
+    } else if ( geoJSON.type === 'Feature' ) {
+      features = [ geoJSON ];
+    } else {
+      features = [ { type: 'Feature', geometry: geoJSON, properties: null } ];
+    }
+
+    features.forEach( ( function ( feature ) {
+      if ( feature && feature.geometry ) {
+        this.addGeoJSONGeometry( feature.geometry, feature, options, loaded );
+      }
+    }).bind( this ));
+
+    // Markers all go in at once so clustering only runs the one time
+    if ( loaded.markers.length && options.cluster ) {
+      var cluster = options.cluster;
+
+      if ( cluster.state.map !== this ) { cluster.setMap( this ); }
+
+      cluster.addMarkers( loaded.markers );
+    }
+
+    return loaded;
+  };
+
+  /**
+   * Build the Markers/overlays for a single GeoJSON geometry.  Used by
+   * loadGeoJSON.
+   *
+   * @param {Object} geometry GeoJSON geometry object
+   * @param {Object} feature  Feature the geometry belongs to
+   * @param {Object} options  loadGeoJSON options
+   * @param {Object} loaded   Object to add created markers/overlays to
+   **/
+  GoogleMap.prototype.addGeoJSONGeometry = function ( geometry, feature, options, loaded ) {
+    var coordinates = geometry.coordinates;
+
+    // GeoJSON positions are [ lng, lat ]
+    var toPoint = function ( position ) {
+      return { lat: position[ 1 ], lng: position[ 0 ] };
+    };
+
+    // Rings repeat the first position at the end, google doesn't need that
+    var toRing = function ( positions ) {
+      var first = positions[ 0 ];
+      var last  = positions[ positions.length - 1 ];
+
+      if ( positions.length > 1 && first[ 0 ] === last[ 0 ] && first[ 1 ] === last[ 1 ] ) {
+        positions = positions.slice( 0, -1 );
+      }
+
+      return positions.map( toPoint );
+    };
+
+    var style = function () {
+      var featureStyle = options.styleFeature ? options.styleFeature( feature ) : null;
+
+      featureStyle = deepMerge( {}, featureStyle || {} );
+
+      // Single geometry features can carry the feature id over
+      if ( typeof( featureStyle.id ) === 'undefined' && typeof( feature.id ) !== 'undefined' && geometry === feature.geometry && ! /^Multi/.test( geometry.type ) ) {
+        featureStyle.id = feature.id;
+      }
+
+      return featureStyle;
+    };
+
+    var addPolygon = ( function ( rings ) {
+      var polygonStyle = deepMerge( deepMerge( {}, this.config.defaultShapeStyle ), style() );
+      var extra        = {};
+
+      // Everything beyond the basic stroke/fill args goes in as options
+      Object.keys( polygonStyle ).forEach( function ( key ) {
+        if ( [ 'strokeColor', 'strokeOpacity', 'strokeWeight', 'fillColor', 'fillOpacity' ].indexOf( key ) === -1 ) {
+          extra[ key ] = polygonStyle[ key ];
+        }
+      });
+
+      // Holes need all of the rings passed as paths
+      if ( rings.length > 1 ) {
+        extra.paths = rings.map( ( function ( ring ) {
+          return this.buildPath( toRing( ring ) );
+        }).bind( this ));
+      }
+
+      var overlay = this.addPolygonOverlay(
+        toRing( rings[ 0 ] ),
+        polygonStyle.strokeColor,
+        polygonStyle.strokeOpacity,
+        polygonStyle.strokeWeight,
+        polygonStyle.fillColor,
+        polygonStyle.fillOpacity,
+        extra
+      );
+
+      if ( overlay ) {
+        overlay.overlayData = feature.properties;
+        loaded.overlays.push( overlay );
+      }
+    }).bind( this );
+
+    var addLine = ( function ( positions ) {
+      var overlay = this.addPolyline( positions.map( toPoint ), style() );
+
+      if ( overlay ) {
+        overlay.overlayData = feature.properties;
+        loaded.overlays.push( overlay );
+      }
+    }).bind( this );
+
+    var addPoint = ( function ( position ) {
+      var point    = toPoint( position );
+      var settings = options.pointToMarker ? options.pointToMarker( feature, point ) : {};
+
+      if ( settings === false ) { return; }
+
+      var marker = settings instanceof Marker ? settings : null;
+
+      if ( ! marker ) {
+        settings = deepMerge( {}, settings || {} );
+
+        if ( ! settings.position ) { settings.position = point; }
+        if ( typeof( settings.data ) === 'undefined' && feature.properties ) { settings.data = feature.properties; }
+
+        // Clustered markers are added to the map by the Cluster
+        settings.map = options.cluster ? null : this;
+
+        marker = new Marker( settings );
+      } else if ( ! options.cluster && ! marker.hasMap() ) {
+        this.addMarkers( marker );
+      }
+
+      if ( marker && marker.state && marker.state.marker ) { loaded.markers.push( marker ); }
+    }).bind( this );
+
+    switch ( geometry.type ) {
+      case 'Point':
+        addPoint( coordinates );
+        break;
+      case 'MultiPoint':
+        coordinates.forEach( addPoint );
+        break;
+      case 'LineString':
+        addLine( coordinates );
+        break;
+      case 'MultiLineString':
+        coordinates.forEach( addLine );
+        break;
+      case 'Polygon':
+        addPolygon( coordinates );
+        break;
+      case 'MultiPolygon':
+        coordinates.forEach( addPolygon );
+        break;
+      case 'GeometryCollection':
+        ( geometry.geometries || [] ).forEach( ( function ( part ) {
+          this.addGeoJSONGeometry( part, feature, options, loaded );
+        }).bind( this ));
+        break;
+      default:
+        console.error( 'Unsupported GeoJSON geometry type passed to GoogleMap.loadGeoJSON: ' + geometry.type );
+    }
+  };
+
+  /**
+   * Serialize the map's Markers (including any in Clusters added with
+   * loadGeoJSON) and overlays to a GeoJSON FeatureCollection.  Marker data
+   * and overlay data are used as feature properties, overlay ids as feature
+   * ids.  Circles are written out as points with a radius property (in
+   * meters) and rectangles as polygons.  Ground overlays are skipped.
+   *
+   * @return {Object} Returns GeoJSON FeatureCollection
+   **/
+  GoogleMap.prototype.toGeoJSON = function () {
+    var features = [];
+    var markers  = [];
+
+    // Cluster markers stand in for groups of markers, so export the markers
+    // they stand in for instead
+    this.state.markers.forEach( function ( marker ) {
+      if ( ! marker.markers && markers.indexOf( marker ) === -1 ) { markers.push( marker ); }
+    });
+
+    this.state.clusters.forEach( function ( cluster ) {
+      cluster.getMarkers().forEach( function ( marker ) {
+        if ( markers.indexOf( marker ) === -1 ) { markers.push( marker ); }
+      });
+    });
+
+    var toPosition = function ( latLng ) {
+      return [ latLng.lng(), latLng.lat() ];
+    };
+
+    var toRing = function ( path ) {
+      var ring = path.map( toPosition );
+
+      if ( ring.length ) { ring.push( ring[ 0 ].slice() ); }
+
+      return ring;
+    };
+
+    var toProperties = function ( data ) {
+      if ( isPlainObject( data ) ) { return deepMerge( {}, data ); }
+
+      return ( typeof( data ) === 'undefined' || data === null ) ? {} : { data: data };
+    };
+
+    markers.forEach( function ( marker ) {
+      var position = marker.getPosition();
+
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [ position.lng, position.lat ] },
+        properties: toProperties( marker.getData() )
+      });
+    });
+
+    this.state.overlays.forEach( function ( overlay ) {
+      var geometry   = null;
+      var properties = toProperties( overlay.overlayData );
+
+      if ( overlay instanceof google.maps.Polygon ) {
+        geometry = {
+          type: 'Polygon',
+          coordinates: overlay.getPaths().getArray().map( function ( path ) {
+            return toRing( path.getArray() );
+          })
+        };
+      } else if ( overlay instanceof google.maps.Polyline ) {
+        geometry = { type: 'LineString', coordinates: overlay.getPath().getArray().map( toPosition ) };
+      } else if ( overlay instanceof google.maps.Rectangle ) {
+        var northEast = overlay.getBounds().getNorthEast();
+        var southWest = overlay.getBounds().getSouthWest();
+
+        geometry = {
+          type: 'Polygon',
+          coordinates: [ toRing([
+            southWest,
+            new google.maps.LatLng( southWest.lat(), northEast.lng() ),
+            northEast,
+            new google.maps.LatLng( northEast.lat(), southWest.lng() )
+          ]) ]
+        };
+      } else if ( overlay instanceof google.maps.Circle ) {
+        geometry = { type: 'Point', coordinates: toPosition( overlay.getCenter() ) };
+        properties.radius = overlay.getRadius();
+      }
+
+      if ( geometry ) {
+        var feature = { type: 'Feature', geometry: geometry, properties: properties };
+
+        if ( typeof( overlay.overlayId ) !== 'undefined' ) { feature.id = overlay.overlayId; }
+
+        features.push( feature );
+      }
+    });
+
+    return { type: 'FeatureCollection', features: features };
+  };
+
   /**
    * Center the map, immediately or with pan.
    *
@@ -304,14 +1075,14 @@
   GoogleMap.prototype.center = function ( lat, lng, pan ) {
     pan = pan || false;
 
-    if ( lat && lng && this.state.map ) {
+    if ( isCoordinate( lat ) && isCoordinate( lng ) && this.state.map ) {
       if ( pan ) {
         this.state.map.panTo( new google.maps.LatLng( lat, lng ) );
       } else {
         this.state.map.setCenter( new google.maps.LatLng( lat, lng ) );
       }
     } else {
-      this.errors.center( lat, lng );
+      this.errors.center.call( this, lat, lng );
     }
   };
 
@@ -322,10 +1093,10 @@
    * 21 (all the way in)
    **/
   GoogleMap.prototype.zoom = function ( zoom ) {
-    if ( this.state.map && zoom && zoom >= 0 && zoom <= 22 ) {
+    if ( this.state.map && isFinite( parseFloat( zoom ) ) && zoom >= 0 && zoom <= 22 ) {
       this.state.map.setZoom( zoom );
     } else {
-      this.errors.zoom( zoom );
+      this.errors.zoom.call( this, zoom );
     }
   }
 
@@ -333,11 +1104,92 @@
    * Close infoboxes for all current markers contained in the map.
    **/
   GoogleMap.prototype.closeInfoboxes = function () {
-    if ( this.state.markers && this.state.markers.length ) {
-      this.state.markers.forEach( function ( marker ) {
-        marker.closeInfobox();
+    this.closeSharedInfobox();
+
+    // Then any open infoboxes Markers have of their own (which can still be
+    // around with a shared infobox, if they were added before it was on).
+    // Markers keep this list up to date as they open and close them.
+    this.state.openInfoboxes.slice().forEach( function ( marker ) {
+      marker.closeInfobox();
+    });
+
+    // Markers taken off the map since opening theirs can't take themselves
+    // off the list
+    this.state.openInfoboxes = [];
+  };
+
+  /**
+   * Use one InfoBox for every Marker on the map instead of one each.
+   * Infobox content is then compiled when it's opened, against a new scope
+   * holding the Marker's data, and thrown away (scope and all) when it's
+   * closed, so thousands of markers don't mean thousands of compiled scopes.
+   * Only affects infoboxes added afterwards.
+   *
+   * @param {Boolean} enabled Set to true to share one infobox
+   **/
+  GoogleMap.prototype.setSharedInfobox = function ( enabled ) {
+    this.config.sharedInfobox = enabled ? true : false;
+  };
+
+  /**
+   * Open the shared infobox (see setSharedInfobox) on a Marker, compiling
+   * its infobox content.  Markers call this from openInfobox.
+   *
+   * @param {Object} marker Marker with an infobox added
+   **/
+  GoogleMap.prototype.openSharedInfobox = function ( marker ) {
+    var shared   = this.state.sharedInfobox;
+    var settings = marker.state.infoboxSettings;
+
+    this.closeSharedInfobox();
+
+    if ( ! shared.infobox ) {
+      shared.infobox = new InfoBox( settings.options );
+
+      google.maps.event.addDomListener( shared.infobox, 'domready', function () {
+        if ( shared.marker ) { shared.marker.renderInfobox( shared.infobox, shared.content ); }
       });
+
+      // The close box closes the infobox behind our back, so tidy up
+      google.maps.event.addListener( shared.infobox, 'closeclick', ( function () {
+        this.closeSharedInfobox();
+      }).bind( this ));
+    } else {
+      // Markers can each have their own box class, offset, etc.
+      shared.infobox.setOptions( settings.options );
     }
+
+    shared.marker = marker;
+    shared.scope  = this.createScope( marker.state.data, marker.infoboxLocals );
+
+    marker.compileInfobox( shared.scope, function ( compiled ) {
+      shared.content = compiled;
+
+      // Templates can show up after the infobox has been opened
+      if ( shared.infobox.div_ ) { marker.renderInfobox( shared.infobox, compiled ); }
+    });
+
+    shared.infobox.open( this.state.map, marker.state.marker );
+  };
+
+  /**
+   * Close the shared infobox (see setSharedInfobox), destroying its content
+   * and scope.
+   **/
+  GoogleMap.prototype.closeSharedInfobox = function () {
+    var shared = this.state.sharedInfobox;
+
+    if ( shared.infobox ) {
+      clearTimeout( shared.infobox.closeTimer );
+      shared.infobox.close();
+    }
+
+    if ( shared.scope ) { shared.scope.$destroy(); }
+    if ( shared.content ) { shared.content.remove(); }
+
+    shared.marker  = null;
+    shared.scope   = null;
+    shared.content = null;
   };
 
   /**
@@ -376,11 +1228,12 @@
   /**
    * Add event to the map instance.
    *
-   * @param {String}   event    Google Maps event to tie into.
-   * @param {Function} callback Callback function for event trigger
+   * @param  {String}   event    Google Maps event to tie into.
+   * @param  {Function} callback Callback function for event trigger
+   * @return {Object}            Returns google MapsEventListener
    **/
   GoogleMap.prototype.addEvent = function ( event, callback ) {
-    google.maps.event.addListener( this.state.map, event, callback );
+    return google.maps.event.addListener( this.state.map, event, callback );
   };
 
   /**
@@ -401,30 +1254,388 @@
         this.closeInfoboxes();
       }
     }).bind( this ), 150 ));
+
+    // Clusters all share one set of listeners, so a zoom reclusters every
+    // layer in a single (debounced) run.  Viewport clusters follow pans as
+    // well, so they run once the map settles instead.
+    google.maps.event.addListener( this.state.map, 'zoom_changed', debounce(( function ( event ) {
+      this.clusterLayers( 'zoom' );
+    }).bind( this ), 150 ));
+
+    google.maps.event.addListener( this.state.map, 'idle', ( function ( event ) {
+      this.clusterLayers( 'idle' );
+    }).bind( this ));
+
+    // Fold spiderfied cluster markers back up when the map is clicked
+    google.maps.event.addListener( this.state.map, 'click', ( function ( event ) {
+      this.state.clusters.forEach( function ( cluster ) {
+        cluster.unspiderfy();
+      });
+    }).bind( this ));
   };
 
   /**
-   * Compile the passed markup using the map object's $scope/$compiler.
+   * Tear the map down for good: destroy its Clusters (along with the cluster
+   * markers they built) and overlays, remove every listener on the map and
+   * let go of the Angular services.  Markers belong to whoever added them,
+   * so they're only taken off the map.  The GoogleMap can't be used again
+   * afterwards.
+   **/
+  GoogleMap.prototype.destroy = function () {
+    // Clusters first, since they put markers on the map
+    this.state.clusters.slice().forEach( function ( cluster ) {
+      cluster.destroy();
+    });
+
+    this.state.markers.slice().forEach( function ( marker ) {
+      marker.closeInfobox();
+      marker.remove();
+    });
+
+    this.state.overlays.forEach( function ( overlay ) {
+      google.maps.event.clearInstanceListeners( overlay );
+      overlay.setMap( null );
+    });
+
+    this.closeSharedInfobox();
+
+    if ( this.state.sharedInfobox.infobox ) {
+      google.maps.event.clearInstanceListeners( this.state.sharedInfobox.infobox );
+
+      this.state.sharedInfobox.infobox = null;
+    }
+
+    if ( this.state.map ) { google.maps.event.clearInstanceListeners( this.state.map ); }
+
+    this.state.map           = null;
+    this.state.markers       = [];
+    this.state.clusters      = [];
+    this.state.layers        = {};
+    this.state.overlays      = [];
+    this.state.openInfoboxes = [];
+    this.state.$scope        = null;
+    this.state.$compile      = null;
+  };
+
+  /**
+   * Add a Cluster to the map as a named layer, so several sets of markers
+   * (hotels, restaurants, etc.) can be clustered and toggled independently.
    *
-   * @param {String}  content Markup to compile
-   * @param {Mixed}   scopeData Data to be passed to the compiled controller
-   * via the transclude API.  Any data passed here will be available in the
-   * created controller object by calling $transclude( $scope ) after
-   * controller creation.
-   * @return {Object}         Returns compiled markup, ready for use
+   * @param  {String} name    Layer name
+   * @param  {Object} cluster Constructed Cluster object
+   * @return {Object}         Returns the Cluster, or null if the name is
+   * already taken
    **/
-  GoogleMap.prototype.compile = function ( content, scopeData ) {
-    if ( content && this.state.$scope && this.state.$compile ) {
-      var compiler = this.state.$compile( content, function ( scope ) {
-        if ( scopeData ) { scope.mapData = scopeData; }
+  GoogleMap.prototype.addCluster = function ( name, cluster ) {
+    if ( this.state.layers[ name ] && this.state.layers[ name ] !== cluster ) {
+      this.errors.clusterLayer( name );
+
+      return null;
+    }
+
+    this.state.layers[ name ] = cluster;
+
+    if ( cluster.state.map !== this ) {
+      cluster.setMap( this );
+    } else {
+      this.registerCluster( cluster );
+    }
+
+    return cluster;
+  };
+
+  /**
+   * Retrieve a Cluster layer by name.
+   *
+   * @param  {String} name Layer name
+   * @return {Object}      Returns Cluster object or null if there isn't one
+   **/
+  GoogleMap.prototype.getCluster = function ( name ) {
+    return this.state.layers[ name ] || null;
+  };
+
+  /**
+   * Show or hide a Cluster layer.
+   *
+   * @param {String}  name    Layer name
+   * @param {Boolean} visible Whether the layer should be shown (optional,
+   * flips the layer if not passed)
+   **/
+  GoogleMap.prototype.toggleCluster = function ( name, visible ) {
+    var cluster = this.getCluster( name );
+
+    if ( cluster ) {
+      cluster.setVisible( typeof( visible ) === 'boolean' ? visible : ! cluster.isVisible() );
+    } else {
+      this.errors.clusterLayer( name, true );
+    }
+  };
+
+  /**
+   * Take a Cluster (by layer name or object) off the map.  Whatever it has
+   * displayed is cleared away, but it keeps its markers, so it can be put
+   * on a map again later with Cluster.setMap or addCluster.
+   *
+   * @param {Mixed} cluster Layer name or Cluster object
+   **/
+  GoogleMap.prototype.removeCluster = function ( cluster ) {
+    cluster = typeof( cluster ) === 'string' ? this.getCluster( cluster ) : cluster;
+
+    if ( cluster && this.state.clusters.indexOf( cluster ) > -1 ) {
+      cluster.unspiderfy();
+      cluster.clearMarkers();
+      this.unregisterCluster( cluster );
+
+      // Grouping still out with the worker has nowhere to go now
+      cluster.state.workerJob = null;
+      cluster.state.map       = null;
+
+      // Clustered together, the rest need to fill in the gap
+      if ( this.config.clusterAcrossLayers ) { this.clusterLayers(); }
+    }
+  };
+
+  /**
+   * Keep track of a Cluster attached to the map (Cluster.setMap calls this,
+   * so it isn't usually needed directly).
+   *
+   * @param {Object} cluster Constructed Cluster object
+   **/
+  GoogleMap.prototype.registerCluster = function ( cluster ) {
+    if ( this.state.clusters.indexOf( cluster ) === -1 ) {
+      this.state.clusters.push( cluster );
+    }
+  };
+
+  /**
+   * Stop keeping track of a Cluster (and drop its layer name, if any).
+   *
+   * @param {Object} cluster Constructed Cluster object
+   **/
+  GoogleMap.prototype.unregisterCluster = function ( cluster ) {
+    var index = this.state.clusters.indexOf( cluster );
+
+    if ( index > -1 ) { this.state.clusters.splice( index, 1 ); }
+
+    Object.keys( this.state.layers ).forEach( ( function ( name ) {
+      if ( this.state.layers[ name ] === cluster ) { delete this.state.layers[ name ]; }
+    }).bind( this ));
+  };
+
+  /**
+   * Cluster markers across layers rather than keeping each layer to itself.
+   * Clustered together, markers from every visible layer are grouped using
+   * the settings of the first visible layer (first added), which also
+   * builds the cluster markers.
+   *
+   * @param {Boolean} enabled Set to true to cluster across layers
+   **/
+  GoogleMap.prototype.setClusterAcrossLayers = function ( enabled ) {
+    this.config.clusterAcrossLayers = enabled ? true : false;
+
+    this.clusterLayers();
+  };
+
+  /**
+   * Recluster the map's Clusters.  Called by the map's own listeners with
+   * the event that triggered the run, in which case only Clusters due to
+   * run on that event are clustered (zoom for regular Clusters, idle for
+   * viewport Clusters that have been panned away from).
+   *
+   * @param {String} trigger Either 'zoom' or 'idle' (optional, everything is
+   * reclustered if not passed)
+   **/
+  GoogleMap.prototype.clusterLayers = function ( trigger ) {
+    var visible = this.state.clusters.filter( function ( cluster ) {
+      return cluster.isVisible();
+    });
+
+    var due = function ( cluster ) {
+      if ( trigger === 'zoom' ) { return ! cluster.config.viewport; }
+      if ( trigger === 'idle' ) { return cluster.config.viewport && ! cluster.isViewportClustered(); }
+
+      return true;
+    };
+
+    if ( this.config.clusterAcrossLayers ) {
+      var lead    = visible[ 0 ];
+      var markers = [];
+
+      if ( lead && ! due( lead ) ) { return; }
+
+      // The other layers hand their markers over to the lead layer, which
+      // takes care of displaying them.  Clustering nothing clears out
+      // whatever they (or hidden layers) had displayed - with every layer
+      // hidden there's no lead, so that's all that happens.
+      this.state.clusters.forEach( function ( cluster ) {
+        if ( cluster === lead ) { return; }
+
+        if ( cluster.getActiveMarkers().length ) { cluster.clusterMarkers( [] ); }
+        if ( cluster.isVisible() ) { markers = markers.concat( cluster.getMarkers() ); }
+      });
+
+      if ( lead ) { lead.clusterMarkers( lead.getMarkers().concat( markers ) ); }
+    } else {
+      visible.forEach( function ( cluster ) {
+        if ( due( cluster ) && ( cluster.getMarkers().length || ! trigger ) ) {
+          cluster.clusterMarkers();
+        }
+      });
+    }
+  };
+
+  /**
+   * Create a child of the map's $scope for compiled content.  Whoever creates
+   * it is responsible for destroying it.
+   *
+   * @param  {Mixed}  scopeData Data made available as mapData (optional)
+   * @param  {Object} locals    Additional values to set on the scope by name
+   * (optional)
+   * @return {Object}           Returns new scope
+   **/
+  GoogleMap.prototype.createScope = function ( scopeData, locals ) {
+    var scope = this.state.$scope.$new();
+
+    if ( scopeData ) { scope.mapData = scopeData; }
+
+    if ( locals ) {
+      Object.keys( locals ).forEach( function ( key ) {
+        scope[ key ] = locals[ key ];
       });
+    }
 
-      return compiler( this.state.$scope );
+    return scope;
+  };
+
+  /**
+   * Compile the passed markup using the map object's $scope/$compiler.  Pass
+   * a scope from createScope to compile against that instead (infoboxes do,
+   * so each one holds its own data and can be destroyed with it).
+   *
+   * @param {String}  content   Markup to compile
+   * @param {Mixed}   scopeData Scope from createScope to compile against, or
+   * data made available to the markup as mapData (optional).  Data gets a
+   * new child scope, which is yours to destroy (compiled.scope().$destroy()).
+   * @param {Object}  locals    Additional values to set on the new scope by
+   * name (optional)
+   * @return {Object}           Returns compiled markup, ready for use
+   **/
+  GoogleMap.prototype.compile = function ( content, scopeData, locals ) {
+    if ( content && this.state.$scope && this.state.$compile ) {
+      var scope = this.state.$scope;
+
+      if ( scopeData && scopeData.$root === scope.$root ) {
+        scope = scopeData;
+      } else if ( scopeData || locals ) {
+        scope = this.createScope( scopeData, locals );
+      }
+
+      return this.state.$compile( content )( scope );
     } else {
-      this.errors.compile( content );
+      this.errors.compile.call( this, content );
     }
   };
 
+  /**
+   * Compile a template defined the way a route or modal would be against the
+   * passed scope (see createScope).  The template is fetched with
+   * $templateRequest if templateUrl is set and everything in resolve is
+   * waited on.  The controller is then instantiated with $scope, locals and
+   * the resolved values injected and published on the scope as controllerAs.
+   * Resolved values are also available on the scope as $resolve.
+   *
+   * @param  {Object} definition Object containing template or templateUrl,
+   * plus controller, controllerAs and resolve (optional)
+   * @param  {Object} scope      Scope to compile against
+   * @param  {Object} locals     Additional values to make injectable in the
+   * controller and resolve functions (optional)
+   * @return {Object}            Returns promise resolved with the compiled
+   * markup (wrapped in a div.map-template), or with null if it couldn't be
+   * compiled or the scope was destroyed in the meantime
+   **/
+  GoogleMap.prototype.compileTemplate = function ( definition, scope, locals ) {
+    var services = GoogleMap.services;
+    var $q       = services.$q;
+
+    if ( ! definition || ( ! definition.template && ! definition.templateUrl ) ) {
+      this.errors.template( definition );
+
+      return $q.when( null );
+    }
+
+    // Fetched inside a promise so bad URLs end up as rejections too
+    var template = $q.when().then( function () {
+      return definition.templateUrl
+        ? services.$templateRequest( definition.templateUrl )
+        : definition.template;
+    });
+
+    return $q.all([ template, this.resolveLocals( definition.resolve, locals ) ]).then( ( function ( results ) {
+      // Nothing to do if the infobox went away while we were waiting
+      if ( scope.$$destroyed || ! this.state.$compile ) { return null; }
+
+      // Wrapped so the template can have any number of root nodes
+      var link = this.state.$compile( '<div class="map-template">' + results[ 0 ] + '</div>' );
+
+      scope.$resolve = results[ 1 ];
+
+      if ( definition.controller ) {
+        var controllerLocals = { $scope: scope };
+
+        [ locals || {}, results[ 1 ] ].forEach( function ( values ) {
+          Object.keys( values ).forEach( function ( key ) {
+            controllerLocals[ key ] = values[ key ];
+          });
+        });
+
+        var controller = services.$controller( definition.controller, controllerLocals );
+
+        if ( definition.controllerAs ) { scope[ definition.controllerAs ] = controller; }
+      }
+
+      return link( scope );
+    }).bind( this )).catch( ( function ( error ) {
+      this.errors.template( definition, error );
+
+      return null;
+    }).bind( this ));
+  };
+
+  /**
+   * Resolve a route style resolve object.  Strings are treated as service
+   * names, functions (or inline array annotated functions) are invoked with
+   * the injector, anything else is used as is.  Promises are waited on.
+   *
+   * @param  {Object} resolve Object containing values to resolve by name
+   * (optional)
+   * @param  {Object} locals  Additional values to make injectable in resolve
+   * functions (optional)
+   * @return {Object}         Returns promise resolved with an object
+   * containing the resolved values by name
+   **/
+  GoogleMap.prototype.resolveLocals = function ( resolve, locals ) {
+    var services = GoogleMap.services;
+
+    // Run inside a promise so injector errors end up as rejections
+    return services.$q.when().then( function () {
+      var values = {};
+
+      Object.keys( resolve || {} ).forEach( function ( key ) {
+        var value = resolve[ key ];
+
+        if ( typeof( value ) === 'string' ) {
+          values[ key ] = services.$injector.get( value );
+        } else if ( typeof( value ) === 'function' || value instanceof Array ) {
+          values[ key ] = services.$injector.invoke( value, null, locals );
+        } else {
+          values[ key ] = value;
+        }
+      });
+
+      return services.$q.all( values );
+    });
+  };
+
   /**
    * Returns true if map currently has Markers assigned to it.
    *
@@ -470,14 +1681,38 @@
   };
 
   /**
-   * Map-wide config options.
+   * Map-wide config options.  Defaults can be set app-wide with
+   * googleMapsProvider.setDefaults({ map: { ... } }).  Each GoogleMap gets its
+   * own copy.
    **/
   GoogleMap.prototype.config = {
+    // Group markers from all Cluster layers together (see
+    // setClusterAcrossLayers)
+    clusterAcrossLayers: false,
+
+    // Share one infobox between all Markers (see setSharedInfobox)
+    sharedInfobox: false,
+
     defaultMapOptions: {
       center: { lat: 39.5579311, lng: -119.8508414 },
       zoom: 8,
       disableDefaultUI: false,
       styles: []
+    },
+    defaultPolylineStyle: {
+      strokeColor: '#000000',
+      strokeOpacity: 1,
+      strokeWeight: 3,
+      geodesic: false
+    },
+    defaultShapeStyle: {
+      strokeColor: '#000000',
+      strokeOpacity: 0.8,
+      strokeWeight: 2,
+      fillColor: '#000000',
+      fillOpacity: 0.2,
+      editable: false,
+      draggable: false
     }
   };
 
@@ -488,6 +1723,22 @@
     map: null,
     markers: [],
     clusters: [],
+
+    // Clusters added by name (see addCluster)
+    layers: {},
+
+    // Shared InfoBox (see setSharedInfobox), the Marker it's open on and
+    // the compiled content and scope for that Marker
+    sharedInfobox: {
+      infobox: null,
+      marker: null,
+      content: null,
+      scope: null
+    },
+
+    // Markers with an infobox of their own that's open (see closeInfoboxes)
+    openInfoboxes: [],
+
     overlays: [],
     $scope: null,
     $compile: null,
@@ -497,6 +1748,17 @@
     fittingBounds: false
   };
 
+  /**
+   * Angular services needed for infobox templates (see compileTemplate).
+   * These are set by the googleMaps service.
+   **/
+  GoogleMap.services = {
+    $q: null,
+    $templateRequest: null,
+    $controller: null,
+    $injector: null
+  };
+
   /**
    * Error handling.
    **/
@@ -506,7 +1768,7 @@
         typeof( google ) === 'undefined' ||
         typeof( google.maps ) === 'undefined'
       ) {
-        console.error( 'Google Maps API not loaded.  Example include URL: //maps.googleapis.com/maps/api/js?key=key&sensor=false&libraries=geometry' );
+        console.error( 'Google Maps API not loaded.  Either include it on the page or have it loaded with googleMapsProvider.configure.  Example include URL: //maps.googleapis.com/maps/api/js?key=key&sensor=false&libraries=geometry' );
       }
       if ( ! element ) {
         console.error( 'Valid HTML element to attach map to must be passed to map constructor' );
@@ -518,6 +1780,9 @@
         console.error( '$compile service must be passed to allow infobox content to be rendered properly' );
       }
     },
+    path: function ( indexes ) {
+      console.error( 'Invalid lat/lng point(s) skipped at index ' + indexes.join( ', ' ) );
+    },
     compile: function ( content ) {
       if ( ! this.state.$scope ) {
         console.error( 'Angular $scope must be set to use compile service.' );
@@ -529,6 +1794,13 @@
         console.error( 'Valid content string must be passed to compile service.' );
       }
     },
+    template: function ( definition, error ) {
+      if ( ! definition || ( ! definition.template && ! definition.templateUrl ) ) {
+        console.error( 'Template content or templateUrl must be passed to compile a template.' );
+      } else {
+        console.error( 'Template' + ( definition.templateUrl ? ' ' + definition.templateUrl : '' ) + ' could not be compiled' + ( error && error.message ? ': ' + error.message : '' ) );
+      }
+    },
     groundOverlay: function ( imageUrl, centerLat, centerLng, width, height ) {
       if ( ! google.maps.geometry ) {
         console.error( 'Geometry library for Google Maps API not loaded.  Clustering will not be available.  Example include URL: //maps.googleapis.com/maps/api/js?key=key&sensor=false&libraries=geometry' );
@@ -544,15 +1816,20 @@
       if ( ! this.state.map ) {
         console.error( 'Google Map must be active before attempting to center the map' );
       }
-      if ( ! lat || ! lng ) {
+      if ( ! isCoordinate( lat ) || ! isCoordinate( lng ) ) {
         console.error( 'Valid lat/lng must be passed to center map' );
       }
     },
+    clusterLayer: function ( name, missing ) {
+      console.error( missing
+        ? 'No cluster layer named ' + name
+        : 'Cluster layer ' + name + ' already exists on this map' );
+    },
     zoom: function ( zoom ) {
       if ( ! this.state.map ) {
         console.error( 'Google Map must be active before attempting to zoom the map' );
       }
-      if ( ! zoom ) {
+      if ( ! isFinite( parseFloat( zoom ) ) ) {
         console.error( 'Valid zoom must be passed to zoom the map' );
       }
       if ( zoom < 0 || zoom > 21 ) {
@@ -0,0 +1,342 @@
+  /////////////////////////////////////////////////////////////////////////////
+  // Loader object ////////////////////////////////////////////////////////////
+  /////////////////////////////////////////////////////////////////////////////
+
+
+  /**
+   * Google Maps API loader.  Injects the API script tag (plus any additional
+   * scripts that depend on the API, i.e. InfoBox/MarkerWithLabel) and hands
+   * back a promise resolved once everything is available.  If the API is
+   * already on the page nothing is injected.
+   *
+   * @param  {Object} options   Loader options (see Loader.config for the full
+   * list)
+   * @param  {Object} $q        $q service from Angular
+   * @param  {Object} $window   $window service from Angular
+   * @param  {Object} $document $document service from Angular
+   * @param  {Object} $timeout  $timeout service from Angular
+   * @return {Object}           Returns constructed Loader object
+   **/
+  var Loader = function ( options, $q, $window, $document, $timeout ) {
+    // Make sure this has a unique copy of the state object
+    this.state = JSON.parse(JSON.stringify( this.state ));
+
+    // Build config from defaults plus passed options
+    this.config = JSON.parse(JSON.stringify( this.config ));
+
+    if ( options && options instanceof Object ) {
+      Object.keys( options ).forEach( ( function ( key ) {
+        this.config[ key ] = options[ key ];
+      }).bind( this ));
+
+      this.state.configured = true;
+    }
+
+    // Save Angular services for later
+    this.state.$q        = $q;
+    this.state.$window   = $window;
+    this.state.$document = $document;
+    this.state.$timeout  = $timeout;
+
+    return this;
+  };
+
+  /**
+   * Load the API (if needed).  Repeated calls share the same promise.  If
+   * loading fails the promise is rejected with a LoaderError and the next call
+   * will try again.
+   *
+   * @return {Object} Returns promise resolved once the API is ready
+   **/
+  Loader.prototype.load = function () {
+    if ( this.state.promise ) { return this.state.promise; }
+
+    var $q = this.state.$q;
+
+    if ( this.isLoaded() ) {
+      // API is already here, just pick up any extra scripts that aren't
+      this.state.promise = this.loadScripts();
+    } else if ( this.state.configured ) {
+      this.state.promise = this.loadApi().then( ( function () {
+        return this.loadScripts();
+      }).bind( this ));
+    } else {
+      this.state.promise = $q.reject( new LoaderError(
+        LoaderError.NOT_CONFIGURED,
+        'Google Maps API not loaded and googleMapsProvider.configure has not been called'
+      ));
+    }
+
+    // Reset on failure so the next call can retry
+    this.state.promise = this.state.promise.catch( ( function ( error ) {
+      this.state.promise = null;
+      this.errors.load( error );
+
+      return $q.reject( error );
+    }).bind( this ));
+
+    return this.state.promise;
+  };
+
+  /**
+   * Check if the Google Maps API is available.
+   *
+   * @return {Boolean} Returns true if google.maps is loaded
+   **/
+  Loader.prototype.isLoaded = function () {
+    var $window = this.state.$window;
+
+    return ( $window.google && $window.google.maps ) ? true : false;
+  };
+
+  /**
+   * Inject the API script tag and wait for the API callback.  If an earlier
+   * attempt timed out with its script still on the way, that script is
+   * waited on again instead of including the API twice.
+   *
+   * @return {Object} Returns promise resolved when the API calls back
+   **/
+  Loader.prototype.loadApi = function () {
+    var deferred = this.state.$q.defer();
+    var $window  = this.state.$window;
+    var $timeout = this.state.$timeout;
+    var callback = this.config.callbackName;
+    var timeout  = this.config.timeout;
+
+    this.state.pending = deferred;
+
+    // The API calls this global once it's ready.  Script callbacks happen
+    // outside of Angular, so settle through $timeout to get a digest.  This
+    // stays in place after a timeout, so an API that turns up late still has
+    // something to call (and the next load finds it loaded).
+    $window[ callback ] = ( function () {
+      this.clearCallback();
+      this.state.script = null;
+
+      $timeout( ( function () {
+        this.settleApi();
+      }).bind( this ));
+    }).bind( this );
+
+    if ( ! this.state.script ) {
+      this.state.script = this.injectScript( this.buildUrl(), ( function () {
+        var script = this.state.script;
+
+        this.clearCallback();
+        this.state.script = null;
+
+        if ( script && script.parentNode ) { script.parentNode.removeChild( script ); }
+
+        $timeout( ( function () {
+          this.settleApi( new LoaderError( LoaderError.NETWORK, 'Google Maps API script failed to load' ) );
+        }).bind( this ));
+      }).bind( this ));
+    }
+
+    // Give up on this attempt, but leave the script and callback alone.
+    // Removing the script wouldn't stop it loading anyway.
+    if ( timeout ) {
+      this.state.timer = $timeout( ( function () {
+        this.settleApi( new LoaderError( LoaderError.TIMEOUT, 'Google Maps API did not load within ' + timeout + 'ms' ) );
+      }).bind( this ), timeout );
+    }
+
+    return deferred.promise;
+  };
+
+  /**
+   * Resolve (or reject, if passed an error) the promise for the current API
+   * load attempt, if there is one.
+   *
+   * @param {Object} error LoaderError to reject with (optional)
+   **/
+  Loader.prototype.settleApi = function ( error ) {
+    var deferred = this.state.pending;
+
+    this.state.$timeout.cancel( this.state.timer );
+
+    this.state.pending = null;
+    this.state.timer   = null;
+
+    if ( ! deferred ) { return; }
+
+    if ( error ) {
+      deferred.reject( error );
+    } else {
+      deferred.resolve();
+    }
+  };
+
+  /**
+   * Remove the global API callback.
+   **/
+  Loader.prototype.clearCallback = function () {
+    var $window = this.state.$window;
+
+    try {
+      delete $window[ this.config.callbackName ];
+    } catch ( e ) {
+      $window[ this.config.callbackName ] = undefined;
+    }
+  };
+
+  /**
+   * Load additional scripts (config.scripts) one after another.  These
+   * generally depend on the API (InfoBox, MarkerWithLabel), so they can only
+   * be loaded once it is ready.  Scripts whose global already exists are
+   * skipped.
+   *
+   * @return {Object} Returns promise resolved once all scripts are loaded
+   **/
+  Loader.prototype.loadScripts = function () {
+    var $q       = this.state.$q;
+    var $window  = this.state.$window;
+    var $timeout = this.state.$timeout;
+    var chain    = $q.when();
+
+    this.config.scripts.forEach( ( function ( script ) {
+      if ( typeof( script ) === 'string' ) { script = { url: script }; }
+
+      chain = chain.then( ( function () {
+        if ( script.global && $window[ script.global ] ) { return; }
+
+        var deferred = $q.defer();
+
+        this.injectScript( script.url, function () {
+          $timeout( function () {
+            deferred.reject( new LoaderError( LoaderError.NETWORK, 'Script failed to load: ' + script.url ) );
+          });
+        }, function () {
+          $timeout( deferred.resolve );
+        });
+
+        return deferred.promise;
+      }).bind( this ));
+    }).bind( this ));
+
+    return chain;
+  };
+
+  /**
+   * Build the API URL from config.
+   *
+   * @return {String} Returns API URL
+   **/
+  Loader.prototype.buildUrl = function () {
+    var params = { callback: this.config.callbackName };
+
+    if ( this.config.key ) { params.key = this.config.key; }
+    if ( this.config.version ) { params.v = this.config.version; }
+    if ( this.config.language ) { params.language = this.config.language; }
+    if ( this.config.region ) { params.region = this.config.region; }
+    if ( this.config.libraries && this.config.libraries.length ) {
+      params.libraries = [].concat( this.config.libraries ).join( ',' );
+    }
+
+    return this.config.url + '?' + Object.keys( params ).map( function ( key ) {
+      return key + '=' + encodeURIComponent( params[ key ] );
+    }).join( '&' );
+  };
+
+  /**
+   * Append a script tag to the document head.
+   *
+   * @param  {String}   src     Script URL
+   * @param  {Function} onError Called if the script fails to load
+   * @param  {Function} onLoad  Called once the script has loaded (optional)
+   * @return {Object}           Returns the script element
+   **/
+  Loader.prototype.injectScript = function ( src, onError, onLoad ) {
+    var document = this.state.$document[ 0 ];
+    var script   = document.createElement( 'script' );
+
+    script.type  = 'text/javascript';
+    script.async = true;
+    script.src   = src;
+
+    script.onerror = onError;
+    if ( onLoad ) { script.onload = onLoad; }
+
+    ( document.head || document.getElementsByTagName( 'head' )[ 0 ] ).appendChild( script );
+
+    return script;
+  };
+
+  /**
+   * Default loader config.
+   **/
+  Loader.prototype.config = {
+    // API key
+    key: null,
+
+    // Additional API libraries.  Geometry is needed for clustering and ground
+    // overlays.
+    libraries: [ 'geometry' ],
+
+    // API language/region/version (optional)
+    language: null,
+    region: null,
+    version: null,
+
+    // Time to wait for the API before giving up (milliseconds, 0 to wait
+    // forever)
+    timeout: 10000,
+
+    // Scripts to load once the API is ready.  Either URLs or objects
+    // containing url and global (name of the global the script defines, the
+    // script is skipped if it already exists).  Ex:
+    // [ { url: 'infobox.js', global: 'InfoBox' } ]
+    scripts: [],
+
+    url: 'https://maps.googleapis.com/maps/api/js',
+    callbackName: 'googlyMapulousApiLoaded'
+  };
+
+  /**
+   * Internal state of loader.
+   **/
+  Loader.prototype.state = {
+    configured: false,
+    promise: null,
+
+    // Current API load attempt (deferred and timeout timer) and the API
+    // script tag, while it's loading
+    pending: null,
+    timer: null,
+    script: null,
+
+    $q: null,
+    $window: null,
+    $document: null,
+    $timeout: null
+  };
+
+  /**
+   * Error handling.
+   **/
+  Loader.prototype.errors = {
+    load: function ( error ) {
+      console.error( error && error.message ? error.message : 'Google Maps API failed to load' );
+    }
+  };
+
+  /**
+   * Error thrown (well, rejected) when the API can't be loaded.  Check type
+   * against the constants below to figure out what went wrong.
+   *
+   * @param {String} type    Error type
+   * @param {String} message Error message
+   **/
+  var LoaderError = function ( type, message ) {
+    this.name    = 'LoaderError';
+    this.type    = type;
+    this.message = message;
+    this.stack   = ( new Error( message ) ).stack;
+  };
+
+  LoaderError.prototype = Object.create( Error.prototype );
+  LoaderError.prototype.constructor = LoaderError;
+
+  LoaderError.NOT_CONFIGURED = 'notConfigured';
+  LoaderError.NETWORK        = 'network';
+  LoaderError.TIMEOUT        = 'timeout';
@@ -8,6 +8,17 @@
    * Note that this will only create the base Marker - other things, such as
    * event handlers/clustering/infoboxes need to be attached separately.
    *
+   * Can also be passed a single options object instead:
+   * new Marker({
+   *   position: { lat: 39.5, lng: -119.8 }, // Or google LatLng/[ lat, lng ]
+   *   map: map,
+   *   icon: { url: 'marker.png', width: 32, height: 40 }, // Or just the url
+   *   options: { draggable: true },
+   *   label: 'Label',
+   *   data: { id: 1 },
+   *   infobox: { content: '<div>Hi</div>', openOn: 'click' } // See addInfobox
+   * });
+   *
    * @param  {Float}   lat     Marker latitude
    * @param  {Float}   lng     Marker longitude
    * @param  {Object}  map     GoogleMap object to attach Marker (optional).
@@ -23,12 +34,41 @@
    * @return {Object}          Returns constructed Marker object
    **/
   var Marker = function ( lat, lng, map, icon, width, height, options, label, data ) {
-    if ( google && google.maps && lat && lng ) {
+    var infobox = null;
+
+    // Unpack options object if that's what was passed
+    if ( isPlainObject( lat ) ) {
+      var settings = lat;
+      var position = toLatLngLiteral( settings.position ) || {};
+      var iconSettings = isPlainObject( settings.icon ) ? settings.icon : { url: settings.icon };
+
+      this.errors.options( invalidKeys( settings, this.config.optionKeys ), 'Marker' );
+      this.errors.options( invalidKeys( iconSettings, [ 'url', 'width', 'height' ] ), 'Marker icon' );
+
+      lat     = position.lat;
+      lng     = position.lng;
+      map     = settings.map;
+      icon    = iconSettings.url;
+      width   = iconSettings.width;
+      height  = iconSettings.height;
+      options = settings.options;
+      label   = settings.label;
+      data    = settings.data;
+      infobox = settings.infobox;
+    }
+
+    if ( google && google.maps && isCoordinate( lat ) && isCoordinate( lng ) ) {
       // Make sure this has a unique copy of the state object
       this.state = JSON.parse(JSON.stringify( this.state ));
 
+      // And the config object, so defaults aren't shared between markers
+      this.config = deepMerge( {}, this.config );
+
+      // Give each marker a unique id for bookkeeping (spatial index, etc.)
+      this.state.id = ++Marker.count;
+
       // Pull in default config options
-      var markerOptions = JSON.parse(JSON.stringify( this.config.defaultMarkerOptions ));
+      var markerOptions = deepMerge( {}, this.config.defaultMarkerOptions );
 
       markerOptions.position = new google.maps.LatLng( lat, lng );
 
@@ -40,23 +80,7 @@
       }
 
       // Build custom icon (otherwise default icon will be used)
-      if ( icon ) {
-        var markerIcon = {
-          url: icon,
-          size: ( width && height )
-            ? new google.maps.Size( width, height )
-            : new google.maps.Size( 32, 32 ),
-          scaledSize: ( width && height )
-            ? new google.maps.Size( width, height )
-            : new google.maps.Size( 32, 32 ),
-          origin: new google.maps.Point( 0, 0 ),
-          anchor: ( width && height )
-            ? new google.maps.Point( width / 2, height )
-            : new google.maps.Point( 16, 32 )
-        };
-
-        markerOptions.icon = markerIcon;
-      }
+      if ( icon ) { markerOptions.icon = this.buildIcon( icon, width, height ); }
 
       // And in label content if passed
       if ( label ) { markerOptions.labelContent = label; }
@@ -80,6 +104,9 @@
         map.addMarkers( this );
       }
 
+      // Add infobox if one was passed in the options object
+      if ( infobox ) { this.addInfobox( infobox ); }
+
       // And back we go
       return this;
     } else {
@@ -100,11 +127,109 @@
     return this.state.marker;
   };
 
+  /**
+   * Retrieve the current position of the Marker.
+   *
+   * @return {Object} Returns object containing lat and lng of the Marker
+   **/
+  Marker.prototype.getPosition = function () {
+    var position = this.state.marker.getPosition();
+
+    return { lat: position.lat(), lng: position.lng() };
+  };
+
+  /**
+   * Move the Marker to a new position.  Any open infobox will follow the
+   * marker since it is anchored to it.
+   *
+   * @param {Float} lat Marker latitude
+   * @param {Float} lng Marker longitude
+   **/
+  Marker.prototype.setPosition = function ( lat, lng ) {
+    if ( isCoordinate( lat ) && isCoordinate( lng ) ) {
+      this.state.marker.setPosition( new google.maps.LatLng( lat, lng ) );
+    } else {
+      console.error( 'Valid lat/lng must be passed to Marker.setPosition' );
+    }
+  };
+
+  /**
+   * Swap the Marker icon.  Passing no icon will revert the Marker to the
+   * default google icon.
+   *
+   * @param {Mixed}   icon   Marker icon (png or svg url, or icon object,
+   * optional)
+   * @param {Integer} width  Marker width (optional)
+   * @param {Integer} height Marker height (optional)
+   **/
+  Marker.prototype.setIcon = function ( icon, width, height ) {
+    this.state.marker.setIcon( icon ? this.buildIcon( icon, width, height ) : null );
+  };
+
+  /**
+   * Update the Marker label.  Only works on Markers that were created with a
+   * label (MarkerWithLabel) - vanilla markers have nowhere to put one, so they
+   * need to be rebuilt instead.
+   *
+   * @param  {String}  label Text or HTML to use as marker label
+   * @return {Boolean}       Returns true if the label could be updated
+   **/
+  Marker.prototype.setLabel = function ( label ) {
+    if ( this.hasLabel() ) {
+      this.state.marker.set( 'labelContent', label );
+
+      return true;
+    } else {
+      console.error( 'Marker.setLabel can only be used on Markers created with a label' );
+    }
+
+    return false;
+  };
+
+  /**
+   * Check if the Marker was built with a label (MarkerWithLabel).
+   *
+   * @return {Boolean} Returns true if Marker has a label
+   **/
+  Marker.prototype.hasLabel = function () {
+    return this.state.marker.label ? true : false;
+  };
+
+  /**
+   * Build google icon object from icon url and dimensions.  The icon is
+   * anchored at the bottom center.  Icon objects that are already built are
+   * passed through as they are.
+   *
+   * @param  {Mixed}   icon   Marker icon (png or svg url, or icon object)
+   * @param  {Integer} width  Marker width (optional, defaults to 32)
+   * @param  {Integer} height Marker height (optional, defaults to 32)
+   * @return {Object}         Returns icon object ready for a google Marker
+   **/
+  Marker.prototype.buildIcon = function ( icon, width, height ) {
+    if ( typeof( icon ) !== 'string' ) { return icon; }
+
+    return {
+      url: icon,
+      size: ( width && height )
+        ? new google.maps.Size( width, height )
+        : new google.maps.Size( 32, 32 ),
+      scaledSize: ( width && height )
+        ? new google.maps.Size( width, height )
+        : new google.maps.Size( 32, 32 ),
+      origin: new google.maps.Point( 0, 0 ),
+      anchor: ( width && height )
+        ? new google.maps.Point( width / 2, height )
+        : new google.maps.Point( 16, 32 )
+    };
+  };
+
   /**
    * Create new InfoBox and link it to the Marker.  Note that this only creates
    * the infobox - it still has to be tied to a separate event to be used. Note
    * that no params are required here, but oftentimes you won't set any infobox
-   * options/content until the box is actually used.
+   * options/content until the box is actually used.  On maps with a shared
+   * infobox (see GoogleMap.setSharedInfobox) nothing is built or compiled
+   * until the infobox is opened.
    *
    * @param {String}  content    Infobox content - can be HTML (optional)
    * @param {String}  closeIcon  Path to close icon to use for infobox (optional)
@@ -116,21 +241,95 @@
    * constructor
    * @param {String}  openOn     Event to open infobox on.  Can be either 'hover'
    * or 'click.'  Defaults to hover.
-   * @param {Boolean} scrollable Whether content should be scrollable or not
-   * (requires JScrollPane)
+   * @param {Mixed}   scrollable Set to true to make content scrollable with
+   * native scrolling, or to the name of another scroll adapter (i.e.
+   * 'jscrollpane', see Marker.scrollAdapters)
    * @param {Mixed} closeTimeout If defined, will automatically close infobox
    * after the passed timeout in milliseconds
+   *
+   * Can also be passed a single options object instead, containing any of the
+   * params above by name:
+   * marker.addInfobox({ content: '<div>Hi</div>', openOn: 'click' });
+   *
+   * The options object can also turn on momentum scrolling for scrollable
+   * content on touch devices with scrollMomentum: true.
+   *
+   * The options object can also define the content the way a route would,
+   * with templateUrl (fetched with $templateRequest, in place of content),
+   * controller, controllerAs and resolve (see GoogleMap.compileTemplate).
+   * The controller and resolve functions can have mapData (the Marker's
+   * data), marker (the Marker) and any infoboxLocals (i.e. cluster)
+   * injected along with resolved values:
+   * marker.addInfobox({
+   *   templateUrl: 'place-card.html',
+   *   controller: 'PlaceCardCtrl',
+   *   controllerAs: 'card',
+   *   resolve: {
+   *     reviews: [ 'mapData', 'Reviews', function ( mapData, Reviews ) {
+   *       return Reviews.forPlace( mapData.id );
+   *     }]
+   *   }
+   * });
    **/
   Marker.prototype.addInfobox = function ( content, closeIcon, boxClass, offset, options, openOn, scrollable, closeTimeout ) {
+    // Route style template definition and momentum scrolling, if passed
+    var template = null;
+    var momentum = null;
+
+    // Unpack options object if that's what was passed
+    if ( isPlainObject( content ) ) {
+      var settings = content;
+
+      this.errors.options( invalidKeys( settings, this.config.infoboxOptionKeys ), 'Marker.addInfobox' );
+
+      if ( settings.templateUrl || settings.controller || settings.resolve ) {
+        template = {
+          template: settings.content,
+          templateUrl: settings.templateUrl,
+          controller: settings.controller,
+          controllerAs: settings.controllerAs,
+          resolve: settings.resolve
+        };
+      }
+
+      content      = settings.content;
+      closeIcon    = settings.closeIcon;
+      boxClass     = settings.boxClass;
+      offset       = settings.offset;
+      options      = settings.options;
+      openOn       = settings.openOn;
+      scrollable   = settings.scrollable;
+      closeTimeout = settings.closeTimeout;
+      momentum     = settings.scrollMomentum;
+    }
+
+    // Content is compiled against the map, so we need one
+    if ( ! this.state.map ) {
+      this.errors.infobox();
+
+      return;
+    }
+
+    // Fill in anything not passed from the infobox defaults
+    var defaults = this.config.defaultInfoboxOptions;
+
+    closeIcon    = closeIcon || defaults.closeIcon;
+    boxClass     = boxClass || defaults.boxClass;
+    offset       = offset || defaults.offset;
+    openOn       = openOn || defaults.openOn;
+    scrollable   = ( typeof( scrollable ) === 'undefined' || scrollable === null ) ? defaults.scrollable : scrollable;
+    closeTimeout = closeTimeout || defaults.closeTimeout;
+    momentum     = ( typeof( momentum ) === 'undefined' || momentum === null ) ? defaults.scrollMomentum : momentum;
+
     // Set up vanilla options
-    var infoboxOptions = {
+    var infoboxOptions = deepMerge({
       closeBoxURL: closeIcon ? closeIcon : null,
       boxClass: boxClass ? boxClass : 'infobox',
       pixelOffset: offset
         ? new google.maps.Size( offset.x, offset.y )
         : new google.maps.Size( 0, 0 ),
       alignBottom: true
-    };
+    }, defaults.options );
 
     // Roll in any other custom options if passed
     if ( options && options instanceof Object ) {
@@ -144,23 +343,61 @@
     // content to the container AFTER the infobox renders.
     infoboxOptions.content = '<div class="infobox-container"></div>';
 
-    // If infobox should be scrollable, check for JSP and if so, wrap content
-    // appropriately
-    if ( scrollable ) {
-      if ( jQuery.fn.jScrollPane ) {
-        var classes = infoboxOptions.boxClass + ' is-scrollable';
-        content = '<div class="' + classes + '">' + content + '</div>';
-      } else {
-        this.errors.jscrollpane();
-      }
+    // If infobox should be scrollable, make sure we have a scroll adapter for
+    // it (content is wrapped and handed to it in renderInfobox).  JScrollPane
+    // falls back to native scrolling if it isn't loaded.
+    if ( scrollable === true ) { scrollable = 'native'; }
+
+    if ( scrollable && ! Marker.scrollAdapters[ scrollable ] ) {
+      this.errors.scrollable( scrollable );
+
+      scrollable = false;
+    } else if ( scrollable === 'jscrollpane' && ( typeof( jQuery ) === 'undefined' || ! jQuery.fn.jScrollPane ) ) {
+      this.errors.jscrollpane();
+
+      scrollable = 'native';
     }
 
-    // Now everything else is dealt with, compile the passed content.  It will
-    // actually be used once the infobox is rendered.
-    this.state.infoboxContent = this.state.map.compile( content, this.state.data );
+    // Start over if the Marker already had an infobox
+    this.destroyInfobox();
+
+    // Everything needed to render the infobox, now or later (see
+    // renderInfobox)
+    this.state.infoboxSettings = {
+      content: content,
+      template: template,
+      options: infoboxOptions,
+      scrollable: scrollable,
+      momentum: momentum,
+      closeTimeout: closeTimeout,
+      ready: []
+    };
 
-    // Create the actual InfoBox
-    this.state.infobox = new InfoBox( infoboxOptions );
+    // Maps with a shared infobox compile content when it's opened instead
+    // (see GoogleMap.setSharedInfobox)
+    if ( ! this.state.map.config.sharedInfobox ) {
+      // Create the actual InfoBox
+      this.state.infobox = new InfoBox( infoboxOptions );
+
+      // Tie in post-render infobox events
+      google.maps.event.addDomListener( this.state.infobox, 'domready', (function () {
+        this.renderInfobox( this.state.infobox, this.state.infoboxContent );
+      }).bind( this ));
+
+      // Now everything else is dealt with, compile the passed content.  It
+      // will actually be used once the infobox is rendered.  Anything in
+      // infoboxLocals (i.e. cluster details for cluster markers) goes on the
+      // infobox scope as well.  The scope is kept so it can be destroyed
+      // along with the infobox.
+      this.state.infoboxScope = this.state.map.createScope( this.state.data, this.infoboxLocals );
+
+      this.compileInfobox( this.state.infoboxScope, (function ( compiled ) {
+        this.state.infoboxContent = compiled;
+
+        // Templates can show up after the infobox has been opened
+        if ( this.state.infobox.div_ ) { this.renderInfobox( this.state.infobox, compiled ); }
+      }).bind( this ));
+    }
 
     // Tie in infobox open events
     if ( ! openOn || openOn === 'hover' ) {
@@ -180,44 +417,94 @@
         this.openInfobox();
       }).bind( this ));
     }
+  };
+
+  /**
+   * Compile the Marker's infobox content (see addInfobox) against the passed
+   * scope.  Plain content is compiled straight away, template definitions
+   * once the template and resolves are in.
+   *
+   * @param {Object}   scope    Scope to compile against (see
+   * GoogleMap.createScope)
+   * @param {Function} callback Function passed the compiled content.  Not
+   * called if the scope is destroyed before the content is ready.
+   **/
+  Marker.prototype.compileInfobox = function ( scope, callback ) {
+    var settings = this.state.infoboxSettings;
+
+    if ( ! settings.template ) {
+      callback( this.state.map.compile( settings.content, scope ) );
+
+      return;
+    }
+
+    // Made injectable in the controller and resolve functions
+    var locals = { mapData: this.state.data, marker: this };
+
+    if ( this.infoboxLocals ) {
+      Object.keys( this.infoboxLocals ).forEach( ( function ( key ) {
+        locals[ key ] = this.infoboxLocals[ key ];
+      }).bind( this ));
+    }
 
-    // Tie in post-render infobox events
-    google.maps.event.addDomListener( this.state.infobox, 'domready', (function () {
-      var infobox = this.state.infobox;
-
-      if ( infobox.getContent() ) {
-        // Infobox is rendered, attach the actual compiled content so Angular
-        // content works
-        var container = infobox.div_.getElementsByClassName( 'infobox-container' )[ 0 ];
-        container.appendChild( this.state.infoboxContent[ 0 ] );
-
-        // Set up close timeout on rendered infobox element if necessary
-        if ( closeTimeout ) {
-          infobox.div_.addEventListener( 'mouseenter', function () {
-            if ( typeof( infobox.closeTimer ) == 'number' ) {
-                clearTimeout( infobox.closeTimer );
-            }
-          });
-
-          infobox.div_.addEventListener( 'mouseleave', function () {
-            infobox.closeTimer = setTimeout( function () {
-                infobox.close();
-            }, closeTimeout );
-          });
-        }
-
-        // If infobox is scrollable, set up JScrollPane (requires
-        // jQuery/JScrollPane).  This also ensures scroll/drag events in the
-        // scroll container work as expected.
-        if ( scrollable ) {
-          jQuery( container ).jScrollPane().bind( 'mouseup.jsp', function () {
-              jQuery('html').unbind( 'dragstart.jsp selectstart.jsp mousemove.jsp mouseup.jsp mouseleave.jsp' );
-
-              jQuery('.jspActive').removeClass( 'jspActive' );
-          });
-        }
+    this.state.map.compileTemplate( settings.template, scope, locals ).then( function ( compiled ) {
+      if ( compiled ) { callback( compiled ); }
+    });
+  };
+
+  /**
+   * Attach compiled content to a freshly rendered infobox (called on the
+   * infobox domready event), along with the close timeout and scrolling set
+   * up in addInfobox.
+   *
+   * @param {Object} infobox InfoBox that was rendered (the Marker's own or
+   * the map's shared one)
+   * @param {Object} content Compiled infobox content
+   **/
+  Marker.prototype.renderInfobox = function ( infobox, content ) {
+    var settings = this.state.infoboxSettings;
+
+    if ( infobox.getContent() && settings && content ) {
+      // Infobox is rendered, attach the actual compiled content so Angular
+      // content works
+      var container = infobox.div_.getElementsByClassName( 'infobox-container' )[ 0 ];
+      var target    = container;
+
+      // Scrollable content gets wrapped for the scroll adapter
+      if ( settings.scrollable ) {
+        target = container.ownerDocument.createElement( 'div' );
+        target.className = settings.options.boxClass + ' is-scrollable';
+
+        container.appendChild( target );
+      }
+
+      target.appendChild( content[ 0 ] );
+
+      // Set up close timeout on rendered infobox element if necessary
+      if ( settings.closeTimeout ) {
+        infobox.div_.addEventListener( 'mouseenter', function () {
+          if ( typeof( infobox.closeTimer ) == 'number' ) {
+              clearTimeout( infobox.closeTimer );
+          }
+        });
+
+        infobox.div_.addEventListener( 'mouseleave', (function () {
+          infobox.closeTimer = setTimeout( (function () {
+              this.closeInfobox();
+          }).bind( this ), settings.closeTimeout );
+        }).bind( this ));
+      }
+
+      // If infobox is scrollable, hand the wrapper to the scroll adapter
+      if ( settings.scrollable ) {
+        Marker.scrollAdapters[ settings.scrollable ]( target, settings );
       }
-    }).bind( this ));
+
+      // And let anyone waiting on it know it's ready (see onInfoboxReady)
+      settings.ready.forEach( function ( callback ) {
+        callback();
+      });
+    }
   };
 
   /**
@@ -243,17 +530,17 @@
    **/
   Marker.prototype.remove = function () {
     // Update map's bookkeeping first
-    if ( this.state.map && this.state.map.markers && this.state.map.markers.length ) {
-      for ( var i = this.state.map.markers.length; i > 0; i-- ) {
-        if ( this.state.map.markers[ i ] === this ) {
-          // Update the internal array
-          this.state.map.markers.splice( i, 1 );
-        }
+    if ( this.state.map && this.state.map.state.markers ) {
+      var index = this.state.map.state.markers.indexOf( this );
+
+      if ( index > -1 ) {
+        // Update the internal array
+        this.state.map.state.markers.splice( index, 1 );
       }
     }
 
-    // Then null out the map
-    this.state.marker.setMap( null );
+    // Then null out the map (unless the Marker has been destroyed already)
+    if ( this.state.marker ) { this.state.marker.setMap( null ); }
 
     // And update internal bookkeeping
     this.state.map = null;
@@ -284,7 +571,14 @@
    **/
   Marker.prototype.openInfobox = function () {
     if ( this.state.infobox ) {
+      var open = this.state.map.state.openInfoboxes;
+
       this.state.infobox.open( this.state.map.state.map, this.state.marker );
+
+      // So the map knows which infoboxes to close (see closeInfoboxes)
+      if ( open.indexOf( this ) === -1 ) { open.push( this ); }
+    } else if ( this.state.infoboxSettings && this.state.map ) {
+      this.state.map.openSharedInfobox( this );
     }
   };
 
@@ -292,7 +586,68 @@
    * Close marker's infobox (if it has one)
    **/
   Marker.prototype.closeInfobox = function () {
-    if ( this.state.infobox ) { this.state.infobox.close(); }
+    if ( this.state.infobox ) {
+      this.state.infobox.close();
+
+      if ( this.state.map ) {
+        var index = this.state.map.state.openInfoboxes.indexOf( this );
+
+        if ( index > -1 ) { this.state.map.state.openInfoboxes.splice( index, 1 ); }
+      }
+    } else if ( this.state.map && this.state.map.state.sharedInfobox.marker === this ) {
+      this.state.map.closeSharedInfobox();
+    }
+  };
+
+  /**
+   * Close and dispose of the Marker's infobox (if it has one), destroying the
+   * compiled content's scope along with it.
+   **/
+  Marker.prototype.destroyInfobox = function () {
+    var infobox = this.state.infobox;
+
+    if ( infobox ) {
+      clearTimeout( infobox.closeTimer );
+      this.closeInfobox();
+
+      google.maps.event.clearInstanceListeners( infobox );
+    } else {
+      // Let go of the shared infobox if it's ours
+      this.closeInfobox();
+    }
+
+    if ( this.state.infoboxScope ) { this.state.infoboxScope.$destroy(); }
+    if ( this.state.infoboxContent ) { this.state.infoboxContent.remove(); }
+
+    this.state.infobox         = null;
+    this.state.infoboxScope    = null;
+    this.state.infoboxContent  = null;
+    this.state.infoboxSettings = null;
+  };
+
+  /**
+   * Tear the Marker down for good: dispose of its infobox, take it off the
+   * map and remove every listener added to it.  The Marker can't be used
+   * again afterwards.
+   **/
+  Marker.prototype.destroy = function () {
+    this.destroyInfobox();
+    this.remove();
+
+    if ( this.state.marker ) {
+      google.maps.event.clearInstanceListeners( this.state.marker );
+
+      this.state.marker.data = null;
+    }
+
+    // Label events are plain DOM listeners (see addEvent)
+    this.state.domListeners.forEach( function ( listener ) {
+      listener.element.removeEventListener( listener.event, listener.callback );
+    });
+
+    this.state.domListeners = [];
+    this.state.marker       = null;
+    this.state.data         = null;
   };
 
   /**
@@ -349,15 +704,14 @@
   };
 
   /**
-   * Custom functionality to fire when infobox is finished rendering.
+   * Custom functionality to fire when infobox is finished rendering (each
+   * time it's opened).  Call after addInfobox.
    *
    * @param {Function} callback Function to call when even is triggered
    **/
   Marker.prototype.onInfoboxReady = function ( callback ) {
-    if ( callback && typeof( callback ) === 'function' ) {
-      google.maps.event.addDomListener( this.state.infobox, 'domready', (function () {
-        callback();
-      }).bind( this ));
+    if ( callback && typeof( callback ) === 'function' && this.state.infoboxSettings ) {
+      this.state.infoboxSettings.ready.push( callback );
     }
   };
 
@@ -365,8 +719,10 @@
    * Add arbitrary event to marker.  Note that marker also has functions for
    * setting commonly-used events above.
    *
-   * @param {String}   eventName Event name to tie into
-   * @param {Function} callback  Function to call when even is triggered
+   * @param  {String}   eventName Event name to tie into
+   * @param  {Function} callback  Function to call when even is triggered
+   * @return {Object}             Returns listener (google MapsEventListener
+   * or, for labels, the DOM element, event and callback)
    **/
   Marker.prototype.addEvent = function ( eventName, callback ) {
     if ( eventName && callback && typeof( callback ) === 'function' ) {
@@ -374,9 +730,20 @@
       // on group markers because the damn label causes a very noticeable
       // "pop" when you go from marker to label
       if ( this.state.marker.label ) {
-        this.state.marker.label.eventDiv_.addEventListener( eventName, callback );
+        var listener = {
+          element: this.state.marker.label.eventDiv_,
+          event: eventName,
+          callback: callback
+        };
+
+        listener.element.addEventListener( eventName, callback );
+
+        // Kept so destroy can take it off again
+        this.state.domListeners.push( listener );
+
+        return listener;
       } else {
-        google.maps.event.addListener( this.state.marker, eventName, callback );
+        return google.maps.event.addListener( this.state.marker, eventName, callback );
       }
     } else {
       console.error( 'Invalid params passed to Marker.addEvent' );
@@ -394,6 +761,24 @@
     this.state.data = this.state.marker.data = data;
   };
 
+  /**
+   * Retrieve the Marker's unique id.
+   *
+   * @return {Integer} Returns Marker id
+   */
+  Marker.prototype.getId = function () {
+    return this.state.id;
+  };
+
+  /**
+   * Retrieve data saved with the Marker.
+   *
+   * @return {Mixed} Returns Marker data
+   */
+  Marker.prototype.getData = function () {
+    return this.state.data;
+  };
+
   /**
    * Check if Marker is currently assigned to a map.
    *
@@ -413,7 +798,9 @@
   };
 
   /**
-   * Default Marker config.
+   * Default Marker config.  Defaults can be set app-wide with
+   * googleMapsProvider.setDefaults({ marker: { ... }, infobox: { ... } }).
+   * Each Marker gets its own copy.
    **/
   Marker.prototype.config = {
     defaultMarkerOptions: {
@@ -421,19 +808,88 @@
       animation: null,
       position: { lat: 39.5579311, lng: -119.8508414 },
       icon: null
-    }
+    },
+
+    // Used to fill in anything not passed to addInfobox.  options are
+    // passed on to the InfoBox constructor.
+    defaultInfoboxOptions: {
+      closeIcon: null,
+      boxClass: 'infobox',
+      offset: null,
+      openOn: 'hover',
+      scrollable: false,
+      scrollMomentum: false,
+      closeTimeout: null,
+      options: {}
+    },
+
+    // Valid keys for the options object flavors of the constructor and
+    // addInfobox
+    optionKeys: [ 'position', 'map', 'icon', 'options', 'label', 'data', 'infobox' ],
+    infoboxOptionKeys: [
+      'content', 'closeIcon', 'boxClass', 'offset', 'options', 'openOn', 'scrollable', 'closeTimeout',
+      'scrollMomentum', 'templateUrl', 'controller', 'controllerAs', 'resolve'
+    ]
   };
 
   /**
    * Internal state of marker (current map, marker data, etc.).
    **/
   Marker.prototype.state = {
+    id: null,
     map: null,
     marker: null,
     data: null,
     infobox: null,
+    infoboxScope: null,
     infoboxContent: null,
-    visible: true
+    infoboxSettings: null,
+    visible: true,
+
+    // DOM listeners added to the label (see addEvent)
+    domListeners: []
+  };
+
+  /**
+   * Number of Markers created so far (used to hand out ids).
+   **/
+  Marker.count = 0;
+
+  /**
+   * Scroll adapters for scrollable infoboxes, by name (see addInfobox).  Each
+   * is passed the element wrapping the infobox content (div.is-scrollable,
+   * give it a height or max-height in CSS) and the infobox settings.  Add
+   * your own to use another scrolling library.
+   **/
+  Marker.scrollAdapters = {
+    // Native overflow scrolling, no dependencies
+    native: function ( element, settings ) {
+      element.style.overflowY = 'auto';
+
+      // Keep scrolling from chaining out to the page
+      element.style.overscrollBehavior = 'contain';
+
+      if ( settings.momentum ) { element.style.webkitOverflowScrolling = 'touch'; }
+
+      // Don't let the map zoom or pan while scrolling/dragging inside the
+      // infobox.  The default action (the scroll itself) still happens.
+      [ 'wheel', 'mousewheel', 'DOMMouseScroll', 'touchstart', 'touchmove', 'mousedown', 'pointerdown' ].forEach( function ( event ) {
+        element.addEventListener( event, function ( e ) {
+          e.stopPropagation();
+        });
+      });
+    },
+
+    // JScrollPane (requires jQuery/JScrollPane), applied to the infobox
+    // container.  This also ensures scroll/drag events in the scroll
+    // container work as expected.
+    jscrollpane: function ( element ) {
+      jQuery( element.parentNode ).jScrollPane().bind( 'mouseup.jsp', function () {
+          jQuery('html').unbind( 'dragstart.jsp selectstart.jsp mousemove.jsp mouseup.jsp mouseleave.jsp' );
+
+          jQuery('.jspActive').removeClass( 'jspActive' );
+      });
+    }
   };
 
   /**
@@ -453,11 +909,22 @@
       if ( ! MarkerWithLabel ) {
         console.error( 'MarkerWithLabel library not loaded.  Markers with labels will not be available.  Get it: bower install google-maps-utility-library-v3 --save' );
       }
-      if ( ! lat || ! lng ) {
+      if ( ! isCoordinate( lat ) || ! isCoordinate( lng ) ) {
         console.error( 'Valid lat/lng must be passed to create Marker' );
       }
     },
+    options: function ( keys, name ) {
+      if ( keys && keys.length ) {
+        console.error( 'Invalid option(s) passed to ' + name + ': ' + keys.join( ', ' ) );
+      }
+    },
+    infobox: function () {
+      console.error( 'Marker must be added to a map before calling Marker.addInfobox' );
+    },
+    scrollable: function ( adapter ) {
+      console.error( 'Invalid infobox scroll adapter: ' + adapter + '.  Use true (native scrolling) or one of: ' + Object.keys( Marker.scrollAdapters ).join( ', ' ) );
+    },
     jscrollpane: function () {
-      console.error( 'JScrollPane must be loaded to create scrollable infobox content.  Get it: bower install jquery.jscrollpane --save.  Don\'t forget to add the CSS!' );
+      console.error( 'JScrollPane must be loaded to use the jscrollpane scroll adapter, falling back to native scrolling.  Get it: bower install jquery.jscrollpane --save.  Don\'t forget to add the CSS!' );
     }
   };
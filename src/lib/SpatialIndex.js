@@ -0,0 +1,215 @@
+  /////////////////////////////////////////////////////////////////////////////
+  // SpatialIndex object //////////////////////////////////////////////////////
+  /////////////////////////////////////////////////////////////////////////////
+
+
+  /**
+   * Bucket index of Markers by position, used by Cluster to find neighbors
+   * without comparing every marker against every other.  Markers are
+   * dropped into square cells (cellSize meters tall, lng cells the same
+   * number of degrees wide) so a radius search only has to look at the cells
+   * around a point.  Searches are fastest when the cell size is close to the
+   * search distance.
+   *
+   * @param  {Integer} cellSize Cell size in meters
+   * @return {Object}           Returns constructed SpatialIndex object
+   **/
+  var SpatialIndex = function ( cellSize ) {
+    // Make sure this has a unique copy of the state object
+    this.state = JSON.parse(JSON.stringify( this.state ));
+
+    this.setCellSize( cellSize || this.config.defaultCellSize );
+
+    return this;
+  };
+
+  /**
+   * Change the cell size.  Re-buckets everything in the index.
+   *
+   * @param {Integer} cellSize Cell size in meters
+   **/
+  SpatialIndex.prototype.setCellSize = function ( cellSize ) {
+    var markers = this.getMarkers();
+
+    this.state.cellSize    = cellSize;
+    this.state.cellDegrees = cellSize / this.config.metersPerDegree;
+    this.state.lngCells    = Math.ceil( 360 / this.state.cellDegrees );
+
+    this.clear();
+
+    markers.forEach( ( function ( marker ) {
+      this.insert( marker );
+    }).bind( this ));
+  };
+
+  /**
+   * Retrieve the current cell size.
+   *
+   * @return {Integer} Returns cell size in meters
+   **/
+  SpatialIndex.prototype.getCellSize = function () {
+    return this.state.cellSize;
+  };
+
+  /**
+   * Add a Marker to the index.  Adding a Marker that's already in the index
+   * re-buckets it at its current position.
+   *
+   * @param {Object} marker Constructed Marker object
+   **/
+  SpatialIndex.prototype.insert = function ( marker ) {
+    var id  = marker.getId();
+    var key = this.cellKey( marker.state.marker.getPosition() );
+
+    if ( typeof( this.state.keys[ id ] ) !== 'undefined' ) {
+      if ( this.state.keys[ id ] === key ) { return; }
+
+      this.remove( marker );
+    }
+
+    if ( ! this.state.cells[ key ] ) { this.state.cells[ key ] = []; }
+
+    this.state.cells[ key ].push( marker );
+    this.state.keys[ id ]    = key;
+    this.state.markers[ id ] = marker;
+    this.state.count++;
+  };
+
+  /**
+   * Take a Marker out of the index.
+   *
+   * @param  {Object}  marker Constructed Marker object
+   * @return {Boolean}        Returns true if the Marker was in the index
+   **/
+  SpatialIndex.prototype.remove = function ( marker ) {
+    var id   = marker.getId();
+    var key  = this.state.keys[ id ];
+    var cell = this.state.cells[ key ];
+
+    if ( ! cell ) { return false; }
+
+    cell.splice( cell.indexOf( marker ), 1 );
+
+    if ( ! cell.length ) { delete this.state.cells[ key ]; }
+
+    delete this.state.keys[ id ];
+    delete this.state.markers[ id ];
+    this.state.count--;
+
+    return true;
+  };
+
+  /**
+   * Check whether a Marker is in the index.
+   *
+   * @param  {Object}  marker Constructed Marker object
+   * @return {Boolean}        Returns true if the Marker is in the index
+   **/
+  SpatialIndex.prototype.has = function ( marker ) {
+    return typeof( this.state.keys[ marker.getId() ] ) !== 'undefined';
+  };
+
+  /**
+   * Re-bucket any Markers that have moved since they were added.
+   **/
+  SpatialIndex.prototype.sync = function () {
+    this.getMarkers().forEach( ( function ( marker ) {
+      this.insert( marker );
+    }).bind( this ));
+  };
+
+  /**
+   * Empty the index.
+   **/
+  SpatialIndex.prototype.clear = function () {
+    this.state.cells   = {};
+    this.state.keys    = {};
+    this.state.markers = {};
+    this.state.count   = 0;
+  };
+
+  /**
+   * Get all Markers in the index.
+   *
+   * @return {Array} Returns array of Marker objects
+   **/
+  SpatialIndex.prototype.getMarkers = function () {
+    var markers = this.state.markers;
+
+    return Object.keys( markers ).map( function ( id ) {
+      return markers[ id ];
+    });
+  };
+
+  /**
+   * Find Markers that could be within distance of a position.  Returns
+   * everything in the cells the distance reaches, so callers still need to
+   * check actual distances.
+   *
+   * @param  {Object}  position Google LatLng object
+   * @param  {Integer} distance Search distance in meters
+   * @return {Array}            Returns array of candidate Marker objects
+   **/
+  SpatialIndex.prototype.query = function ( position, distance ) {
+    var candidates  = [];
+    var cells       = this.state.cells;
+    var lngCells    = this.state.lngCells;
+    var cellDegrees = this.state.cellDegrees;
+    var lat         = position.lat();
+    var row         = Math.floor( ( lat + 90 ) / cellDegrees );
+    var column      = Math.floor( ( position.lng() + 180 ) / cellDegrees );
+
+    // Cells get narrower (in meters) away from the equator, so more of them
+    // are needed to cover the distance east/west
+    var cos     = Math.max( Math.cos( lat * Math.PI / 180 ), 0.01 );
+    var rows    = Math.ceil( distance / this.state.cellSize );
+    var columns = Math.min( Math.ceil( distance / ( this.state.cellSize * cos ) ), Math.floor( lngCells / 2 ) );
+
+    for ( var r = row - rows; r <= row + rows; r++ ) {
+      for ( var c = column - columns; c <= column + columns; c++ ) {
+        // Wrap around the antimeridian
+        var cell = cells[ r * lngCells + ( c < 0 ? c + lngCells : ( c >= lngCells ? c - lngCells : c ) ) ];
+
+        if ( cell ) {
+          for ( var i = 0; i < cell.length; i++ ) { candidates.push( cell[ i ] ); }
+        }
+      }
+    }
+
+    return candidates;
+  };
+
+  /**
+   * Work out the key of the cell a position falls in.
+   *
+   * @param  {Object} position Google LatLng object
+   * @return {Integer}         Returns cell key
+   **/
+  SpatialIndex.prototype.cellKey = function ( position ) {
+    var cellDegrees = this.state.cellDegrees;
+    var row         = Math.floor( ( position.lat() + 90 ) / cellDegrees );
+    var column      = Math.floor( ( position.lng() + 180 ) / cellDegrees );
+
+    return row * this.state.lngCells + ( column % this.state.lngCells );
+  };
+
+  /**
+   * Index config.
+   **/
+  SpatialIndex.prototype.config = {
+    defaultCellSize: 1000,
+    metersPerDegree: 111320
+  };
+
+  /**
+   * Internal state of index.
+   **/
+  SpatialIndex.prototype.state = {
+    cellSize: null,
+    cellDegrees: null,
+    lngCells: null,
+    cells: {},
+    keys: {},
+    markers: {},
+    count: 0
+  };
@@ -80,3 +80,190 @@
       return result;
     };
   }
+
+  /**
+   * Deep merge source object into destination object.  Plain objects are
+   * merged recursively and arrays are copied, so nothing in the result is
+   * shared by reference with the source.  Anything else (google objects,
+   * functions, etc.) is assigned as is.
+   *
+   * @param  {Object} destination Object to merge into
+   * @param  {Object} source      Object to merge from
+   * @return {Object}             Returns destination object
+   **/
+  function deepMerge ( destination, source ) {
+    if ( source && source instanceof Object ) {
+      Object.keys( source ).forEach( function ( key ) {
+        var value = source[ key ];
+
+        if ( isPlainObject( value ) ) {
+          destination[ key ] = deepMerge(
+            isPlainObject( destination[ key ] ) ? destination[ key ] : {},
+            value
+          );
+        } else if ( value instanceof Array ) {
+          destination[ key ] = deepMerge( [], value );
+        } else {
+          destination[ key ] = value;
+        }
+      });
+    }
+
+    return destination;
+  }
+
+  /**
+   * Check if passed value is a plain object (object literal) rather than an
+   * array, class instance, etc.
+   *
+   * @param  {Mixed}   value Value to check
+   * @return {Boolean}       Returns true if value is a plain object
+   **/
+  function isPlainObject ( value ) {
+    if ( ! value || Object.prototype.toString.call( value ) !== '[object Object]' ) {
+      return false;
+    }
+
+    // Works across frames, where Object.prototype isn't the same object
+    var proto = Object.getPrototypeOf( value );
+
+    return proto === null || Object.getPrototypeOf( proto ) === null;
+  }
+
+  /**
+   * Find any keys in an options object that aren't in the list of valid
+   * keys.
+   *
+   * @param  {Object} options   Options object to check
+   * @param  {Array}  validKeys Array of allowed key names
+   * @return {Array}            Returns array of invalid keys (empty if all
+   * keys are valid)
+   **/
+  function invalidKeys ( options, validKeys ) {
+    return Object.keys( options || {} ).filter( function ( key ) {
+      return validKeys.indexOf( key ) === -1;
+    });
+  }
+
+  /**
+   * Check if a value can be used as a latitude/longitude.  Zero is a
+   * perfectly good coordinate (the equator, the prime meridian).
+   *
+   * @param  {Mixed}   value Value to check
+   * @return {Boolean}       Returns true if value is a finite number (or
+   * numeric string)
+   **/
+  function isCoordinate ( value ) {
+    return isFinite( parseFloat( value ) );
+  }
+
+  /**
+   * Normalize a position into a plain lat/lng object.  Accepts lat/lng
+   * objects, google LatLng objects or [ lat, lng ] arrays.
+   *
+   * @param  {Mixed}  position Position to normalize
+   * @return {Object}          Returns object containing lat and lng or null if
+   * position couldn't be read
+   **/
+  function toLatLngLiteral ( position ) {
+    if ( ! position ) { return null; }
+
+    if ( typeof( position.lat ) === 'function' ) {
+      return { lat: position.lat(), lng: position.lng() };
+    }
+
+    if ( position instanceof Array ) {
+      return { lat: position[ 0 ], lng: position[ 1 ] };
+    }
+
+    return { lat: position.lat, lng: position.lng };
+  }
+
+  /**
+   * Convert a lat/lng to world pixel coordinates at a given zoom level (Web
+   * Mercator, same as the map tiles).  Doesn't need the map's projection, so
+   * works before the map has rendered.
+   *
+   * @param  {Float}   lat  Latitude
+   * @param  {Float}   lng  Longitude
+   * @param  {Integer} zoom Zoom level
+   * @return {Object}       Returns object containing x and y
+   **/
+  function latLngToPixel ( lat, lng, zoom ) {
+    var scale = 256 * Math.pow( 2, zoom );
+    var sin   = Math.min( Math.max( Math.sin( lat * Math.PI / 180 ), -0.9999 ), 0.9999 );
+
+    return {
+      x: scale * ( 0.5 + lng / 360 ),
+      y: scale * ( 0.5 - Math.log( ( 1 + sin ) / ( 1 - sin ) ) / ( 4 * Math.PI ) )
+    };
+  }
+
+  /**
+   * Convert world pixel coordinates at a given zoom level back to a lat/lng
+   * (the reverse of latLngToPixel).
+   *
+   * @param  {Float}   x    World pixel x
+   * @param  {Float}   y    World pixel y
+   * @param  {Integer} zoom Zoom level
+   * @return {Object}       Returns object containing lat and lng
+   **/
+  function pixelToLatLng ( x, y, zoom ) {
+    var scale = 256 * Math.pow( 2, zoom );
+    var n     = Math.PI - 2 * Math.PI * y / scale;
+
+    return {
+      lat: 180 / Math.PI * Math.atan( 0.5 * ( Math.exp( n ) - Math.exp( -n ) ) ),
+      lng: wrapLng( x / scale * 360 - 180 )
+    };
+  }
+
+  /**
+   * Wrap a longitude into the -180 to 180 range.
+   *
+   * @param  {Float} lng Longitude
+   * @return {Float}     Returns wrapped longitude
+   **/
+  function wrapLng ( lng ) {
+    return ( ( ( lng + 180 ) % 360 ) + 360 ) % 360 - 180;
+  }
+
+  /**
+   * Check if a position falls within bounds.  Handles bounds that cross the
+   * antimeridian (east less than west).
+   *
+   * @param  {Object}  bounds   Object containing north, east, south and west
+   * @param  {Object}  position Google LatLng object
+   * @return {Boolean}          Returns true if position is within bounds
+   **/
+  function boundsContain ( bounds, position ) {
+    var lat = position.lat();
+    var lng = position.lng();
+
+    if ( lat < bounds.south || lat > bounds.north ) { return false; }
+
+    return bounds.west <= bounds.east
+      ? lng >= bounds.west && lng <= bounds.east
+      : lng >= bounds.west || lng <= bounds.east;
+  }
+
+  /**
+   * Distance between two points in meters (haversine formula, same earth
+   * radius as google.maps.geometry).  Doesn't depend on the Google Maps API,
+   * so can be used in workers.
+   *
+   * @param  {Float} lat1 First point latitude
+   * @param  {Float} lng1 First point longitude
+   * @param  {Float} lat2 Second point latitude
+   * @param  {Float} lng2 Second point longitude
+   * @return {Float}      Returns distance in meters
+   **/
+  function haversineDistance ( lat1, lng1, lat2, lng2 ) {
+    var toRadians = Math.PI / 180;
+    var dLat      = ( lat2 - lat1 ) * toRadians;
+    var dLng      = ( lng2 - lng1 ) * toRadians;
+    var a         = Math.pow( Math.sin( dLat / 2 ), 2 ) +
+      Math.cos( lat1 * toRadians ) * Math.cos( lat2 * toRadians ) * Math.pow( Math.sin( dLng / 2 ), 2 );
+
+    return 2 * 6378137 * Math.asin( Math.min( 1, Math.sqrt( a ) ) );
+  }